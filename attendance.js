@@ -0,0 +1,106 @@
+/**
+ * Envoy Bulk Booking — Attendance analytics
+ *
+ * Derives office days from the stored booking history and measures them
+ * against the weekly minimum set in Settings. Shared by the history page
+ * (stats) and the popup (upcoming-week warning).
+ */
+
+const DEFAULT_ATTENDANCE_POLICY = { minDaysPerWeek: 0 }; // 0 = no policy
+const GENERIC_DESK_LABELS = ['', 'Booked', 'Auto-assign'];
+
+function attendanceDateStr(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+// Monday of the week containing `date`
+function weekStartOf(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+function addWeeks(date, weeks) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + weeks * 7);
+  return d;
+}
+
+// Map of YYYY-MM-DD → desk for every date whose latest outcome is a booking
+function getOfficeDays(history) {
+  const days = new Map();
+  const ordered = [...history].sort((a, b) => a.runAt - b.runAt);
+  for (const entry of ordered) {
+    if (entry.outcome === 'booked') days.set(entry.date, entry.desk || days.get(entry.date) || '');
+    else if (entry.outcome === 'already_booked') days.set(entry.date, days.get(entry.date) || '');
+    else if (entry.outcome === 'cancelled') days.delete(entry.date);
+  }
+  return days;
+}
+
+function countDaysInWeek(officeDays, weekStart) {
+  const from = attendanceDateStr(weekStart);
+  const to = attendanceDateStr(addWeeks(weekStart, 1));
+  return [...officeDays.keys()].filter((d) => d >= from && d < to).length;
+}
+
+// One row per week from `fromWeek` to `toWeek` (both Mondays, inclusive)
+function summarizeWeeks(officeDays, fromWeek, toWeek, minDays) {
+  const weeks = [];
+  for (let week = new Date(fromWeek); week <= toWeek; week = addWeeks(week, 1)) {
+    const days = countDaysInWeek(officeDays, week);
+    weeks.push({ weekStart: week, days, meets: minDays > 0 ? days >= minDays : null });
+  }
+  return weeks;
+}
+
+// [{ month: 'YYYY-MM', days }] ascending
+function summarizeMonths(officeDays) {
+  const months = new Map();
+  for (const date of officeDays.keys()) {
+    const month = date.slice(0, 7);
+    months.set(month, (months.get(month) || 0) + 1);
+  }
+  return [...months].sort(([a], [b]) => a.localeCompare(b)).map(([month, days]) => ({ month, days }));
+}
+
+// Consecutive weeks meeting the policy; the current week only extends a streak once it meets it
+function getWeekStreaks(weeks, today = new Date()) {
+  const thisWeek = weekStartOf(today);
+  let longest = 0;
+  let run = 0;
+  let current = 0;
+  for (const week of weeks.filter((w) => w.weekStart <= thisWeek)) {
+    const isThisWeek = week.weekStart.getTime() === thisWeek.getTime();
+    if (week.meets) run++;
+    else if (!isThisWeek) run = 0;
+    longest = Math.max(longest, run);
+    current = run;
+  }
+  return { current, longest };
+}
+
+// [{ desk, days }] for the most-booked named seats
+function getTopDesks(officeDays, limit = 5) {
+  const counts = new Map();
+  for (const desk of officeDays.values()) {
+    if (GENERIC_DESK_LABELS.includes(desk)) continue;
+    counts.set(desk, (counts.get(desk) || 0) + 1);
+  }
+  return [...counts]
+    .sort(([a, x], [b, y]) => y - x || a.localeCompare(b))
+    .slice(0, limit)
+    .map(([desk, days]) => ({ desk, days }));
+}
+
+// Next calendar week's bookings when they fall short of the policy, otherwise null
+function getUpcomingShortfall(officeDays, minDays, today = new Date()) {
+  if (!(minDays > 0)) return null;
+  const weekStart = addWeeks(weekStartOf(today), 1);
+  const days = countDaysInWeek(officeDays, weekStart);
+  return days < minDays ? { weekStart, days, minDays } : null;
+}
@@ -10,15 +10,24 @@
  *  5. Closes the background tab when done (or on error)
  */
 
+importScripts('holidays.js', 'login.js', 'defaults.js');
+
 const SCHEDULE_URL        = 'https://dashboard.envoy.com/schedule';
 const MAP_BASE_URL        = 'https://dashboard.envoy.com/spaces/maps/live';
-const MAP_DEFAULT_LOC_ID  = '124269';
+const LEGACY_MAP_LOC_ID   = '124269'; // map location older versions fell back to when none was saved
 const TAB_LOAD_TIMEOUT    = 20_000;
 const SSO_REDIRECT_TIMEOUT = 30_000;
 const SSO_SETTLE_DELAY     = 1_500;
 const SSO_REDIRECT_SETTLE  = 10_000;
+const LOGIN_HANDOFF_TIMEOUT = 5 * 60_000; // ms the user gets to finish an interactive sign-in
+const LOGIN_POLL_INTERVAL   = 2_000;
+const LOGIN_MAX_STEPS       = 5; // e.g. Envoy email → SSO choice → IdP account tile → username → "stay signed in?"
 const MAP_SEAT_TIMEOUT    = 35_000; // ms to wait for resolveFeatureId
 const MAP_BOOKING_TIMEOUT = 30_000; // ms to wait for bookSeatOnCurrentPage
+const DISCOVERY_STEP_TIMEOUT = 45_000; // ms to wait for each location/floor discovery step
+const SCHEDULE_FLOW_TIMEOUT = 600_000; // ms to wait for runBulkBooking to page through all weeks
+const SNIPER_RETRY_DELAY  = 3_000;  // ms between booking attempts while waiting for the day to open
+const KEEPALIVE_INTERVAL  = 20_000; // ms between API calls that stop Chrome idling out the worker
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
@@ -31,28 +40,137 @@ function toLocalDateStr(date) {
 
 /* ── Daily scheduling helpers ────────────────────────────────────────── */
 
-function getTodayString() {
-  return new Date().toISOString().slice(0, 10);
+async function getRunSchedule() {
+  const { runSchedule } = await chrome.storage.local.get('runSchedule');
+  return { ...DEFAULT_RUN_SCHEDULE, ...runSchedule };
 }
 
-function scheduleNextAlarm() {
-  const now = new Date();
-  const next11am = new Date(now);
-  next11am.setHours(11, 0, 0, 0);
-  if (now >= next11am) next11am.setDate(next11am.getDate() + 1);
-  chrome.alarms.create('dailyBooking', {
-    when: next11am.getTime(),
-    periodInMinutes: 1440,
-  });
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+// Run slots falling on the calendar day of `date`, ascending
+function getSlotsOnDay(schedule, date) {
+  if (!schedule.weekdays.includes(date.getDay())) return [];
+  return schedule.times
+    .map((t) => {
+      const [h, m] = t.split(':').map(Number);
+      const slot = new Date(date);
+      slot.setHours(h, m, 0, 0);
+      return slot;
+    })
+    .sort((a, b) => a - b);
+}
+
+function getNextRunSlot(schedule, after) {
+  for (let i = 0; i <= 7; i++) {
+    const day = startOfDay(after);
+    day.setDate(day.getDate() + i);
+    const slot = getSlotsOnDay(schedule, day).find((s) => s > after);
+    if (slot) return slot;
+  }
+  return null;
+}
+
+function getLastRunSlot(schedule, before) {
+  for (let i = 0; i <= 7; i++) {
+    const day = startOfDay(before);
+    day.setDate(day.getDate() - i);
+    const slot = getSlotsOnDay(schedule, day).reverse().find((s) => s <= before);
+    if (slot) return slot;
+  }
+  return null;
+}
+
+async function getLastRunAt() {
+  const { lastRunAt, lastRunDate } = await chrome.storage.local.get(['lastRunAt', 'lastRunDate']);
+  if (lastRunAt) return lastRunAt;
+  // Older versions only recorded the (UTC) date of the last run
+  return lastRunDate ? new Date(`${lastRunDate}T00:00:00Z`).getTime() : 0;
+}
+
+// The slot the last run served: recorded when it finished, or for runs from older versions the
+// latest slot at or before the time it finished
+async function getLastServedSlot(schedule) {
+  const { lastSlotAt } = await chrome.storage.local.get('lastSlotAt');
+  if (lastSlotAt !== undefined) return lastSlotAt;
+  const lastRunAt = await getLastRunAt();
+  return lastRunAt ? getLastRunSlot(schedule, new Date(lastRunAt))?.getTime() ?? 0 : 0;
+}
+
+// A slot is covered only once a run has served it, so the 11:00 run doesn't cover 14:00
+async function isSlotCovered(schedule, slot) {
+  return (await getLastServedSlot(schedule)) >= slot.getTime();
 }
 
-function showBookingNotification(status, total, errorMsg) {
-  const isError = status === 'error';
-  const isNone  = status === 'done' && total === 0;
-  const message = isError ? `Booking failed: ${errorMsg}`
-                : isNone  ? 'No desks found to book today.'
+// Runs today's most recent slot if nothing has served it — Chrome was closed when it fired, or
+// another job held the tab and runBooking turned the alarm away
+async function runMissedSlot(trigger = 'alarm') {
+  if (activeTabId !== null) return;
+  const schedule = await getRunSchedule();
+  const missed = getLastRunSlot(schedule, new Date());
+  if (!missed || missed < startOfDay(new Date())) return;
+  if (await isSlotCovered(schedule, missed)) return;
+  const { selectedDays } = await chrome.storage.local.get('selectedDays');
+  await runBooking(selectedDays || [1, 2, 3, 4, 5], { trigger });
+}
+
+async function scheduleNextAlarm() {
+  const schedule = await getRunSchedule();
+  const next = getNextRunSlot(schedule, new Date());
+  if (!next) {
+    await chrome.alarms.clear('dailyBooking');
+    await chrome.storage.local.set({ nextRunAt: null });
+    return;
+  }
+  // One-shot alarm — the handler schedules the following slot
+  await chrome.alarms.create('dailyBooking', { when: next.getTime() });
+  await chrome.storage.local.set({ nextRunAt: next.getTime() });
+}
+
+// `note` flags anything the user should double-check, e.g. bookings verification couldn't find
+function showBookingNotification(status, total, errorMsg, action = 'book', note = '') {
+  const isError  = status === 'error';
+  const isNone   = status === 'done' && total === 0;
+  const isCancel = action === 'cancel';
+  const message = isError ? `${isCancel ? 'Cancellation' : 'Booking'} failed: ${errorMsg}`
+                : isNone  ? (isCancel ? 'No bookings found to cancel.' : 'No desks found to book today.')
+                : isCancel ? `Done — cancelled ${total} booking(s).`
                 :            `Done — scheduled ${total} desk(s).`;
   chrome.notifications.create('bookingResult', {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: 'Envoy Bulk Booking',
+    message: note ? `${message} ${note}` : message,
+    requireInteraction: true,
+  });
+}
+
+function showRetryNotification(bookings) {
+  const days = bookings.map((b) => `${b.date} (${b.desk})`).join(', ');
+  chrome.notifications.create('retryResult', {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: 'Envoy Bulk Booking',
+    message: `Retry succeeded — booked ${days}.`,
+    requireInteraction: true,
+  });
+}
+
+function showLoginNotification(host) {
+  chrome.notifications.create('loginHandoff', {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: 'Envoy Bulk Booking',
+    message: `Sign-in needed — finish signing in at ${host} in the Envoy tab. The run carries on once you're back on the dashboard.`,
+    requireInteraction: true,
+  });
+}
+
+function showSeatWatchNotification(message) {
+  chrome.notifications.create('seatWatch', {
     type: 'basic',
     iconUrl: 'icons/icon128.png',
     title: 'Envoy Bulk Booking',
@@ -70,11 +188,18 @@ async function getState() {
 
 function defaultState() {
   return {
-    status: 'idle',          // idle | running | done | error
+    status: 'idle',          // idle | running | done | error | cancelled
+    action: 'book',          // book | cancel | preview
     current: 0,
     total: 0,
+    booked: 0,
     log: [],
     bookings: [],
+    skipped: [],             // [{ date, label }] — leave days and public holidays
+    plan: [],                // [{ date, outcome, detail }] — preview runs only
+    verification: [],        // [{ date, dateKey, outcome, desk }] — confirmed | missing | unexpected
+    results: [],             // [{ date, dateKey, weekday, status, seat, reason }] — booking runs, one per date
+    loginHandoff: false,     // waiting for the user to finish signing in
   };
 }
 
@@ -83,7 +208,10 @@ async function setState(patch) {
   await chrome.storage.session.set({ envoy_booking: { ...prev, ...patch } });
 }
 
+let quietLog = false; // seat-watch checks only log what they book or what goes wrong
+
 async function addLog(level, msg) {
+  if (quietLog && (level === 'info' || level === 'warn')) return;
   const now  = new Date();
   const time = now.toTimeString().slice(0, 8);
   const entry = { time, level, msg };
@@ -93,67 +221,322 @@ async function addLog(level, msg) {
   await chrome.storage.session.set({ envoy_booking: { ...prev, log } });
 }
 
-/* ── Login helpers ───────────────────────────────────────────────────── */
+/* ── Stored lists ────────────────────────────────────────────────────── */
 
-function isLoginUrl(url) {
-  return url.includes('/login') || url.includes('/sign-in') || url.includes('/auth');
+// Read-modify-write updates of the history, retry queue and watch list run one at a time: a run, its
+// verification and a retry or seat-watch check can overlap, and each would otherwise save over the
+// other's change. `fn` must not queue another update itself — it would wait on its own turn.
+let listUpdates = Promise.resolve();
+
+function updateStoredList(fn) {
+  const update = listUpdates.then(fn);
+  listUpdates = update.catch(() => {});
+  return update;
+}
+
+/* ── Booking history ─────────────────────────────────────────────────── */
+
+const HISTORY_LIMIT = 2000; // oldest entries are dropped beyond this
+
+let currentRun = null; // { runId, trigger } — tags history entries for the run in progress
+
+const SLOT_TRIGGERS = ['alarm', 'startup', 'manual']; // runs that serve the schedule's current slot
+
+function beginRun(trigger) {
+  currentRun = { runId: Date.now().toString(36), trigger };
+}
+
+// Outcomes that restate a date's standing rather than something a run did
+const RESTATED_OUTCOMES = ['already_booked', 'excluded'];
+
+// One entry per date and outcome: booked | already_booked | excluded | failed | cancelled
+async function recordHistory(date, mode, outcome, desk = '', note = '') {
+  if (!currentRun) return;
+  const entry = {
+    runId: currentRun.runId,
+    runAt: Date.now(),
+    trigger: currentRun.trigger,
+    date: typeof date === 'string' ? date : toLocalDateStr(date),
+    mode, outcome, desk, note,
+  };
+  await updateStoredList(async () => {
+    const { bookingHistory = [] } = await chrome.storage.local.get('bookingHistory');
+    // Every run sees the whole horizon, so an unchanged standing would otherwise be logged again each
+    // time and crowd older months out of the history
+    const latest = bookingHistory.findLast((e) => e.date === entry.date);
+    if (RESTATED_OUTCOMES.includes(outcome) && latest?.outcome === outcome && latest.desk === desk && latest.note === note) return;
+    await chrome.storage.local.set({ bookingHistory: [...bookingHistory, entry].slice(-HISTORY_LIMIT) });
+  });
+}
+
+// Corrects this run's booked entry for a date, e.g. when verification finds it didn't stick
+async function amendHistory(date, patch) {
+  if (!currentRun) return;
+  const { runId } = currentRun;
+  await updateStoredList(async () => {
+    const { bookingHistory = [] } = await chrome.storage.local.get('bookingHistory');
+    await chrome.storage.local.set({
+      bookingHistory: bookingHistory.map((e) => (
+        e.runId === runId && e.date === date && e.outcome === 'booked' ? { ...e, ...patch } : e
+      )),
+    });
+  });
+}
+
+/* ── Per-date results ────────────────────────────────────────────────── */
+
+// The popup summary of a booking run: one row per date, later outcomes replacing earlier ones.
+// Status: booked | already_booked | skipped_day | excluded | failed
+function makeResult(date, status, seat = '', reason = '') {
+  const d = typeof date === 'string' ? new Date(`${date}T00:00`) : date;
+  return { date: formatDate(d), dateKey: toLocalDateStr(d), weekday: DAY_NAMES[d.getDay()], status, seat, reason };
+}
+
+function mergeResults(...lists) {
+  const byDate = new Map();
+  for (const row of lists.flat()) byDate.set(row.dateKey, row);
+  return [...byDate.values()].sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+}
+
+async function addResults(rows) {
+  if (rows.length === 0) return;
+  const { results = [] } = await getState();
+  await setState({ results: mergeResults(results, rows) });
+}
+
+/* ── Run checkpoint ──────────────────────────────────────────────────── */
+
+// Chrome may stop the worker mid-run, dropping every module-level variable. The checkpoint in
+// session storage is what the next worker instance uses to pick the run back up.
+const RESUME_WINDOW = 10 * 60_000; // checkpoints older than this are abandoned, not resumed
+const MAX_RESUMES   = 3;
+
+let keepaliveTimer = null;
+
+async function getCheckpoint() {
+  const { envoy_run } = await chrome.storage.session.get('envoy_run');
+  return envoy_run || null;
+}
+
+// `run` is the kind (book | cancel | sniper) plus the arguments needed to restart it
+async function startCheckpoint(run) {
+  await chrome.storage.session.set({
+    envoy_run: { tabId: null, done: [], bookings: [], pending: null, resumes: 0, ...run, updatedAt: Date.now() },
+  });
+  startKeepalive();
+}
+
+async function updateCheckpoint(patch) {
+  const run = await getCheckpoint();
+  if (!run) return;
+  await chrome.storage.session.set({ envoy_run: { ...run, ...patch, updatedAt: Date.now() } });
+}
+
+// Marks dates as handled so a resumed run doesn't attempt them again
+async function checkpointDates(dateKeys, bookings = [], mode = '') {
+  const run = await getCheckpoint();
+  if (!run) return;
+  await updateCheckpoint({
+    done: [...run.done, ...dateKeys],
+    bookings: [...run.bookings, ...bookings.map((b) => ({ ...b, mode }))],
+    pending: null,
+  });
+}
+
+// Also closes the previous worker's tab when the resumed run didn't reuse it
+async function clearCheckpoint() {
+  const run = await getCheckpoint();
+  clearInterval(keepaliveTimer);
+  keepaliveTimer = null;
+  await chrome.storage.session.remove('envoy_run');
+  if (run?.tabId != null && run.tabId !== activeTabId) await closeTab(run.tabId);
+}
+
+// A pending async call is enough to stop Chrome idling out the worker between content replies
+function startKeepalive() {
+  clearInterval(keepaliveTimer);
+  keepaliveTimer = setInterval(() => chrome.runtime.getPlatformInfo(), KEEPALIVE_INTERVAL);
+}
+
+// Rows from before a worker restart that the resumed instance's own results don't include
+async function getCarriedRows(rows, key) {
+  const run = await getCheckpoint();
+  if (!run?.resumes) return [];
+  const seen = new Set(rows.map((r) => r[key]));
+  return run.bookings
+    .filter((r) => !seen.has(r[key]))
+    .map(({ mode, ...row }) => row);
+}
+
+// Map bookings are recorded per group, so a group cut short by the restart has none yet
+async function recordCarriedHistory(run) {
+  const { bookingHistory = [] } = await chrome.storage.local.get('bookingHistory');
+  const recorded = new Set(bookingHistory.filter((e) => e.runId === run.runId).map((e) => e.date));
+  for (const { dateKey, desk, mode } of run.bookings) {
+    if (dateKey && !recorded.has(dateKey)) await recordHistory(dateKey, mode, 'booked', desk);
+  }
 }
 
-function fillEmailAndSubmit(email) {
-  const selectors = ['input[type="email"]', 'input[name="email"]', 'input[id*="email"]', 'input[placeholder*="email" i]'];
-  let field = null;
-  for (const s of selectors) { field = document.querySelector(s); if (field) break; }
-  if (!field) return 'no_email_field';
+async function resumeInterruptedRun() {
+  const run = await getCheckpoint();
+  if (!run || activeTabId !== null) return;
 
-  // React-compatible value injection
-  const setter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set;
-  setter.call(field, email);
-  field.dispatchEvent(new Event('input', { bubbles: true }));
-  field.dispatchEvent(new Event('change', { bubbles: true }));
+  if (Date.now() - run.updatedAt > RESUME_WINDOW || run.resumes >= MAX_RESUMES) {
+    await clearCheckpoint();
+    if ((await getState()).status === 'running') {
+      await setState({ status: 'error' });
+      await addLog('error', 'The run was interrupted when Chrome stopped the background worker and could not be resumed.');
+    }
+    return;
+  }
 
-  const btnSelectors = ['button[type="submit"]', 'button[data-test*="continue"]', 'button[data-test*="submit"]', 'input[type="submit"]'];
-  let btn = null;
-  for (const s of btnSelectors) { btn = document.querySelector(s); if (btn && !btn.disabled) break; }
-  const form = field.closest('form');
-  if (!btn) {
-    btn = form ? Array.from(form.querySelectorAll('button')).find((b) => !b.disabled) : null;
+  // Retries and seat-watch checks aren't resumed: the queue and watch list still hold their dates for
+  // the next alarm tick, so only the previous worker's tab and state need clearing
+  if (run.kind === 'retry' || run.kind === 'watch') {
+    await clearCheckpoint();
+    await setState({ loginHandoff: false });
+    if (run.kind === 'retry' && (await getState()).status === 'running') {
+      await setState({ status: 'error' });
+      await addLog('error', 'The retry was interrupted when Chrome stopped the background worker — its days stay queued for the next retry.');
+    }
+    return;
   }
-  if (btn) { btn.click(); return 'submitted'; }
 
-  if (form) { form.submit(); return 'form_submitted'; }
-  return 'no_submit_button';
+  // Re-attach to the tab if it survived; otherwise the resumed run opens a fresh one
+  const tabId = run.tabId === null ? null : await chrome.tabs.get(run.tabId).then((t) => t.id, () => null);
+  await updateCheckpoint({ resumes: run.resumes + 1, tabId });
+  await setState({ loginHandoff: false }); // a sign-in wait starts over with the new worker
+  startKeepalive();
+  await addLog('warn', `Chrome restarted the background worker mid-run — resuming (${run.done.length} date(s) already handled).`);
+  if (run.pending) await addLog('info', `${run.pending.type} for ${run.pending.label} was in flight — re-checking it.`);
+
+  const resume = { ...run, tabId, resumes: run.resumes + 1 };
+  if (run.kind === 'cancel') await runCancellation(run.from, run.to, run.selectedDays, resume);
+  else if (run.kind === 'sniper') await runSniper(new Date(run.releaseAt), resume);
+  else await runBooking(run.selectedDays, { preview: run.preview, trigger: run.trigger, resume });
+  await runMissedSlot(); // a slot whose alarm fired while the run held the tab
 }
 
-async function attemptAutoLogin(tabId) {
-  const { envoyEmail } = await chrome.storage.local.get('envoyEmail');
+/* ── Login helpers ───────────────────────────────────────────────────── */
+
+// Envoy's own login routes, or any page off the dashboard — i.e. an identity provider
+function isLoginUrl(url) {
+  let parsed;
+  try { parsed = new URL(url); } catch { return false; }
+  if (parsed.hostname !== 'dashboard.envoy.com') return true;
+  return /\/(login|sign-in|auth)(\/|$)/.test(parsed.pathname);
+}
+
+// Back on the dashboard proper, i.e. signing in is done
+function isSignedIn(url) {
+  return url.includes('dashboard.envoy.com') && !isLoginUrl(url);
+}
 
+// Walks the sign-in pages one adapter step at a time (see login.js) until the tab is back on the
+// dashboard. Anything an adapter can't do itself is handed to the user.
+async function attemptAutoLogin(tabId) {
+  const { envoyEmail = '', loginProvider = 'auto' } = await chrome.storage.local.get(['envoyEmail', 'loginProvider']);
   if (!envoyEmail) {
-    throw new Error('Redirected to login page. Open Settings (gear icon) and save your Envoy email to enable auto-login.');
+    await addLog('warn', 'Redirected to login page. Save your Envoy email in Settings (gear icon) to sign in automatically next time.');
   }
 
-  await addLog('info', `Auto-login: submitting email ${envoyEmail}…`);
+  // Envoy may hand straight over to an identity provider that is still redirecting
+  await waitForLoginStep(tabId, '');
+  let reason = '';
+  for (let step = 0; step < LOGIN_MAX_STEPS && !abortRequested; step++) {
+    const tab = await chrome.tabs.get(tabId);
+    if (isSignedIn(tab.url)) break;
+    const adapter = pickLoginAdapter(tab.url, loginProvider);
+    const outcome = await runLoginStep(tabId, adapter, envoyEmail);
+    if (outcome.status === 'challenge' || outcome.status === 'failed') {
+      reason = outcome.detail;
+      await addLog('warn', `Auto-login (${adapter.name}): ${outcome.detail}.`);
+      break;
+    }
+    // Corporate IdP auth usually completes on its own from here via browser cookies
+    await addLog('info', `Auto-login (${adapter.name}): ${outcome.detail} — waiting for the next page…`);
+    await waitForLoginStep(tabId, tab.url);
+  }
 
-  const result = await chrome.scripting.executeScript({
-    target: { tabId },
-    func: fillEmailAndSubmit,
-    args: [envoyEmail],
-  });
+  const current = await chrome.tabs.get(tabId);
+  if (isSignedIn(current.url)) {
+    await addLog('success', 'Auto-login: SSO login succeeded.');
+    return;
+  }
+  // A password, MFA prompt or a page no adapter understands — nothing a hidden tab can get past
+  await waitForInteractiveLogin(tabId, current.url, reason);
+}
+
+async function runLoginStep(tabId, adapter, email) {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  let origin = '';
+  try { origin = new URL(tab?.url).origin; } catch { /* about:blank and friends */ }
+  if (origin.startsWith('https:') && !(await chrome.permissions.contains({ origins: [`${origin}/*`] }))) {
+    return { status: 'failed', detail: `no access to ${new URL(origin).hostname} — allow it under Settings → Identity Provider (as the sign-in page address, if it's your company's own)` };
+  }
+  try {
+    const [frame] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: runLoginAdapter,
+      args: [adapter.id, email],
+    });
+    return frame?.result || { status: 'failed', detail: 'the page returned no result' };
+  } catch (err) {
+    // The page navigated away mid-injection, or access was revoked since the check
+    return { status: 'failed', detail: `couldn't run on this page (${err.message})` };
+  }
+}
 
-  if (result[0]?.result === 'no_email_field') {
-    throw new Error('Auto-login failed: email field not found. The Envoy login form may have changed.');
+// Waits for where a login step led: a redirect that has stopped moving, or — for steps that stay
+// on the same URL, like an in-page username → password switch — SSO_REDIRECT_SETTLE
+async function waitForLoginStep(tabId, fromUrl) {
+  const start = Date.now();
+  let lastUrl = fromUrl;
+  while (Date.now() - start < SSO_REDIRECT_TIMEOUT) {
+    await sleep(LOGIN_POLL_INTERVAL);
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!tab) return;
+    const stable = tab.status === 'complete' && tab.url === lastUrl;
+    if (stable && (tab.url !== fromUrl || Date.now() - start >= SSO_REDIRECT_SETTLE)) return;
+    lastUrl = tab.url;
   }
+}
 
-  // Wait for SSO redirect — corporate IdP auth completes automatically via browser cookies
-  await addLog('info', 'Auto-login: waiting for SSO redirect to complete…');
-  await waitForTabComplete(tabId, SSO_REDIRECT_TIMEOUT).catch(() => {});
-  await sleep(SSO_REDIRECT_SETTLE);
+let handoffTabId = null; // tab the user was asked to sign in on — the notification brings it back
+
+async function waitForInteractiveLogin(tabId, url, reason = '') {
+  let host = 'the login page';
+  try { host = new URL(url).hostname || host; } catch { /* keep the generic name */ }
+  await addLog('warn', `Sign-in needs you: ${reason || `${host} is asking for more than SSO can answer`}. Finish signing in in the Envoy tab — the run waits up to ${LOGIN_HANDOFF_TIMEOUT / 60_000} minutes.`);
 
   const tab = await chrome.tabs.get(tabId);
-  if (isLoginUrl(tab.url)) {
-    throw new Error('Auto-login failed: still on login page after SSO redirect. Ensure you are signed in to your corporate identity provider in Chrome.');
-  }
+  const [previous] = await chrome.tabs.query({ active: true, windowId: tab.windowId });
+  await surfaceTab(tab);
+  handoffTabId = tabId;
+  await setState({ loginHandoff: true });
+  showLoginNotification(host);
 
-  await addLog('success', 'Auto-login: SSO login succeeded.');
+  const deadline = Date.now() + LOGIN_HANDOFF_TIMEOUT;
+  try {
+    while (Date.now() < deadline && !abortRequested) {
+      await sleep(LOGIN_POLL_INTERVAL);
+      const current = await chrome.tabs.get(tabId).catch(() => null);
+      if (!current) throw new Error('The sign-in tab was closed before signing in finished.');
+      if (current.status === 'complete' && isSignedIn(current.url)) {
+        await addLog('success', 'Sign-in finished — carrying on with the run.');
+        // Hand the window back to whatever the user had open
+        if (previous && previous.id !== tabId) await chrome.tabs.update(previous.id, { active: true }).catch(() => {});
+        return;
+      }
+    }
+  } finally {
+    handoffTabId = null;
+    await setState({ loginHandoff: false });
+    chrome.notifications.clear('loginHandoff');
+  }
+  throw new Error(abortRequested
+    ? 'Stopped while waiting for sign-in.'
+    : `Sign-in wasn't finished within ${LOGIN_HANDOFF_TIMEOUT / 60_000} minutes. Sign in to Envoy in Chrome, then retry.`);
 }
 
 /* ── Tab helpers ─────────────────────────────────────────────────────── */
@@ -181,59 +564,201 @@ async function closeTab(tabId) {
   try { await chrome.tabs.remove(tabId); } catch { /* already closed */ }
 }
 
+// Brings a background tab and its window to the front
+async function surfaceTab(tab) {
+  await chrome.tabs.update(tab.id, { active: true });
+  await chrome.windows.update(tab.windowId, { focused: true });
+}
+
 /* ── Main booking flow ───────────────────────────────────────────────── */
 
 let activeTabId = null;
-let pendingSelectedDays = [1, 2, 3, 4, 5];
+let progressOffset = 0; // dates already accounted for before the current schedule-page pass
+let abortRequested = false; // set by the popup's Stop button; flows check it between steps
 
-// Resolver slots for async replies from content script
-let seatResultResolver = null;
-let scanResultResolver = null;
+/* ── Content-script RPC ──────────────────────────────────────────────── */
 
-function waitForSeatResult(timeout) {
-  return new Promise((resolve, reject) => {
-    const timer = setTimeout(() => {
-      seatResultResolver = null;
-      reject(new Error('Timed out waiting for seat result'));
-    }, timeout);
-    seatResultResolver = (msg) => {
-      clearTimeout(timer);
-      resolve(msg);
-    };
-  });
-}
+// Each call carries a requestId that the content script echoes back in RPC_RESULT, so a late
+// reply can only settle the call it belongs to. Calls never reject: they resolve to
+// { ok: true, ... } or { ok: false, code, error }, where code is timeout | unreachable | aborted
+// or whatever the page reported.
+const pendingCalls = new Map(); // requestId → { type, tabId, settle }
+let nextRequestId = 1;
 
-function waitForScanResult(timeout) {
+function callContent(tabId, type, payload, timeout) {
+  const requestId = `${Date.now().toString(36)}-${nextRequestId++}`;
   return new Promise((resolve) => {
     const timer = setTimeout(() => {
-      scanResultResolver = null;
-      resolve([]); // timeout is non-fatal — proceed without pre-filter
+      settleCall(requestId, { ok: false, code: 'timeout', error: `Timed out waiting for the page to answer ${type}` });
     }, timeout);
-    scanResultResolver = (bookedDates) => {
-      clearTimeout(timer);
-      resolve(bookedDates);
-    };
+    pendingCalls.set(requestId, {
+      type,
+      tabId,
+      settle: (result) => {
+        clearTimeout(timer);
+        resolve(result);
+      },
+    });
+    chrome.tabs.sendMessage(tabId, { type, requestId, ...payload }).catch((err) => {
+      settleCall(requestId, { ok: false, code: 'unreachable', error: `Could not communicate with content script: ${err.message}` });
+    });
   });
 }
 
+// Returns false when nobody is waiting (already settled, timed out, or the worker restarted)
+function settleCall(requestId, result) {
+  const call = pendingCalls.get(requestId);
+  if (!call) return false;
+  pendingCalls.delete(requestId);
+  call.settle(result);
+  return true;
+}
+
+function cancelCalls(match, code, error) {
+  for (const [requestId, call] of pendingCalls) {
+    if (match(call)) settleCall(requestId, { ok: false, code, error });
+  }
+}
+
+/* ── Booking plan helpers ────────────────────────────────────────────── */
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const PLAN_SETTING_KEYS = [
+  'bookingMode', 'preferredSeats', 'preferredSeat', 'seatFeatureIds', 'seatFeatureId', 'mapLocationId', 'dayPlans',
+];
+
+function readSeatList({ preferredSeats, preferredSeat }) {
+  // Older versions stored a single preferredSeat string
+  if (Array.isArray(preferredSeats)) return preferredSeats.filter(Boolean);
+  return preferredSeat ? [preferredSeat] : [];
+}
+
+function isFlatFeatureIdCache(cache) {
+  return Object.values(cache).some((v) => typeof v === 'string');
+}
+
+function readFeatureIdCache({ seatFeatureIds, seatFeatureId, preferredSeat, mapLocationId }, locationId) {
+  // Cache is keyed by map location, then seat name
+  if (seatFeatureIds && typeof seatFeatureIds === 'object') {
+    if (!isFlatFeatureIdCache(seatFeatureIds)) return { ...(seatFeatureIds[locationId] || {}) };
+    // Older versions kept one flat { seat: id } map for the default location
+    return locationId === mapLocationId ? { ...seatFeatureIds } : {};
+  }
+  return seatFeatureId && preferredSeat && locationId === mapLocationId ? { [preferredSeat]: seatFeatureId } : {};
+}
+
+async function cacheFeatureIds(locationId, featureIds) {
+  const stored = await chrome.storage.local.get(['seatFeatureIds', 'mapLocationId']);
+  let cache = stored.seatFeatureIds || {};
+  if (isFlatFeatureIdCache(cache)) cache = stored.mapLocationId ? { [stored.mapLocationId]: cache } : {};
+  await chrome.storage.local.set({ seatFeatureIds: { ...cache, [locationId]: featureIds } });
+}
+
+function getDefaultPlan(settings) {
+  const seats = readSeatList(settings);
+  if (settings.bookingMode === 'map' && seats.length > 0) {
+    return { mode: 'map', locationId: settings.mapLocationId || '', seats };
+  }
+  return { mode: 'auto' };
+}
+
+function getPlanForDay(day, settings) {
+  const custom = settings.dayPlans?.[day];
+  if (!custom) return getDefaultPlan(settings);
+  if (custom.mode === 'map' && custom.seats?.length > 0) {
+    // A day plan without its own location uses the default map
+    return { mode: 'map', locationId: custom.locationId || settings.mapLocationId || '', seats: custom.seats };
+  }
+  return { mode: 'auto' };
+}
+
+function planKey(plan) {
+  return plan.mode === 'map' ? `map:${plan.locationId}:${plan.seats.join('|')}` : 'auto';
+}
+
+function describePlan(plan) {
+  return plan.mode === 'map' ? `seats [${plan.seats.join(', ')}] on map ${plan.locationId}` : 'auto-assign';
+}
+
+function groupDatesByPlan(dates, settings) {
+  const groups = new Map();
+  for (const date of dates) {
+    const plan = getPlanForDay(date.getDay(), settings);
+    const key = planKey(plan);
+    if (!groups.has(key)) groups.set(key, { plan, dates: [], days: [] });
+    const group = groups.get(key);
+    group.dates.push(date);
+    if (!group.days.includes(date.getDay())) group.days.push(date.getDay());
+  }
+  return [...groups.values()];
+}
+
+function describeDays(days) {
+  return [...days].sort().map((d) => DAY_NAMES[d]).join('/');
+}
+
 /* ── Map booking helpers ─────────────────────────────────────────────── */
 
-function getTargetDates(selectedDays) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+function horizonToDays({ amount, unit }) {
+  return unit === 'weeks' ? amount * 7 : amount;
+}
+
+async function getHorizonDays() {
+  const { bookingHorizon } = await chrome.storage.local.get('bookingHorizon');
+  return horizonToDays({ ...DEFAULT_HORIZON, ...bookingHorizon });
+}
+
+// Last bookable date, inclusive — shared by both flows and the sniper
+function getHorizonEnd(horizonDays, from = new Date()) {
+  const end = startOfDay(from);
+  end.setDate(end.getDate() + horizonDays);
+  return end;
+}
+
+// Map of YYYY-MM-DD → label for every excluded day between from and to (inclusive)
+function expandExclusions(exclusions, from, to) {
+  const excluded = {};
+  const fromStr = toLocalDateStr(from);
+  const toStr = toLocalDateStr(to);
+  for (const { start, end, label } of exclusions) {
+    const cursor = new Date(`${start < fromStr ? fromStr : start}T00:00`);
+    const last = end > toStr ? toStr : end;
+    while (toLocalDateStr(cursor) <= last) {
+      excluded[toLocalDateStr(cursor)] = label;
+      cursor.setDate(cursor.getDate() + 1);
+    }
+  }
+  return excluded;
+}
+
+// Leave entries and the chosen public holiday calendar, merged into one label map
+async function getExcludedDates(from, to) {
+  const { exclusions = [], holidayCalendar } = await chrome.storage.local.get(['exclusions', 'holidayCalendar']);
+  const excluded = {};
+  if (holidayCalendar?.country) {
+    const holidays = getHolidayMap(holidayCalendar.country, holidayCalendar.region || '', from, to);
+    for (const [date, name] of Object.entries(holidays)) excluded[date] = `Public holiday: ${name}`;
+  }
+  return { ...excluded, ...expandExclusions(exclusions, from, to) };
+}
 
-  const windowEnd = new Date(today);
-  windowEnd.setDate(today.getDate() + 30);
+function getTargetDates(selectedDays, horizonDays, excluded = {}) {
+  const today = startOfDay(new Date());
+  const windowEnd = getHorizonEnd(horizonDays, today);
 
   const dates = [];
+  const skipped = [];
   const cursor = new Date(today);
   while (cursor <= windowEnd) {
     if (selectedDays.includes(cursor.getDay())) {
-      dates.push(new Date(cursor));
+      const label = excluded[toLocalDateStr(cursor)];
+      if (label) skipped.push({ date: new Date(cursor), label });
+      else dates.push(new Date(cursor));
     }
     cursor.setDate(cursor.getDate() + 1);
   }
-  return dates; // already ascending
+  return { dates, skipped }; // both already ascending
 }
 
 function getDayTimestamps(date) {
@@ -247,26 +772,19 @@ function getDayTimestamps(date) {
   };
 }
 
+function buildMapUrl(locationId, date, featureId) {
+  const { selectedTime, selectedEndTime } = getDayTimestamps(date);
+  const url = `${MAP_BASE_URL}/${locationId}?selectedTime=${selectedTime}&selectedEndTime=${selectedEndTime}`;
+  return featureId ? `${url}&selectedFeatureId=${featureId}` : url;
+}
+
 function formatDate(date) {
   return date.toLocaleDateString('en-AU', { weekday: 'short', month: 'short', day: 'numeric' });
 }
 
 async function scanScheduleForBookedDates(tabId, targetDates) {
   try {
-    await chrome.tabs.update(tabId, { url: SCHEDULE_URL });
-    await waitForTabComplete(tabId, TAB_LOAD_TIMEOUT);
-    await sleep(2500);
-
-    const loaded = await chrome.tabs.get(tabId);
-    if (isLoginUrl(loaded.url)) {
-      await attemptAutoLogin(tabId);
-      await chrome.tabs.update(tabId, { url: SCHEDULE_URL });
-      await waitForTabComplete(tabId, TAB_LOAD_TIMEOUT);
-      await sleep(2500);
-    }
-
-    await chrome.tabs.sendMessage(tabId, { type: 'SCAN_SCHEDULE', targetDates });
-    const bookedDates = await waitForScanResult(60_000);
+    const { bookedDates } = await scanScheduleBookings(tabId, targetDates);
     await addLog('info', `Schedule scan complete — ${bookedDates.length} date(s) already booked.`);
     return bookedDates;
   } catch (err) {
@@ -275,207 +793,1278 @@ async function scanScheduleForBookedDates(tabId, targetDates) {
   }
 }
 
-async function runMapFlow(selectedDays, preferredSeat, cachedFeatureId, locationId) {
-  await addLog('info', `Map booking: seat "${preferredSeat}" for ${selectedDays.length} selected day(s).`);
+// Resolves to { bookedDates, desks } where desks maps each booked date to the desk shown ('' if none)
+async function scanScheduleBookings(tabId, targetDates) {
+  await chrome.tabs.update(tabId, { url: SCHEDULE_URL });
+  await waitForTabComplete(tabId, TAB_LOAD_TIMEOUT);
+  await sleep(2500);
 
-  const dates = getTargetDates(selectedDays);
-  if (dates.length === 0) {
-    await setState({ status: 'done', total: 0, current: 0 });
-    await addLog('warn', 'No upcoming dates match the selected days.');
-    showBookingNotification('done', 0);
-    return;
+  const loaded = await chrome.tabs.get(tabId);
+  if (!isSignedIn(loaded.url)) {
+    await attemptAutoLogin(tabId);
+    await chrome.tabs.update(tabId, { url: SCHEDULE_URL });
+    await waitForTabComplete(tabId, TAB_LOAD_TIMEOUT);
+    await sleep(2500);
   }
 
-  // Open map page for first target date
-  const { selectedTime: t0, selectedEndTime: e0 } = getDayTimestamps(dates[0]);
-  const initialUrl = `${MAP_BASE_URL}/${locationId}?selectedTime=${t0}&selectedEndTime=${e0}`;
-
-  let tab;
-  try {
-    tab = await chrome.tabs.create({ url: initialUrl, active: false });
-    activeTabId = tab.id;
-    await addLog('info', `Background tab created (id=${tab.id}).`);
-    await waitForTabComplete(tab.id, TAB_LOAD_TIMEOUT);
-
-    const loaded = await chrome.tabs.get(tab.id);
-    await addLog('info', `Page loaded. URL: ${loaded.url}`);
+  // Week paging stops once the last target date has been seen
+  const result = await callContent(tabId, 'SCAN_SCHEDULE', { targetDates, horizonEnd: [...targetDates].sort().pop() }, 60_000);
+  if (!result.ok) throw new Error(result.error);
+  return { bookedDates: result.bookedDates, desks: result.desks || {} };
+}
 
-    if (!loaded.url.includes('dashboard.envoy.com')) {
-      throw new Error('Redirected away from Envoy — are you logged in?');
-    }
-    if (isLoginUrl(loaded.url)) {
-      await attemptAutoLogin(tab.id);
-      await chrome.tabs.update(tab.id, { url: initialUrl });
-      await waitForTabComplete(tab.id, TAB_LOAD_TIMEOUT);
-    }
-  } catch (err) {
-    await setState({ status: 'error' });
-    await addLog('error', err.message);
-    if (activeTabId) { await closeTab(activeTabId); activeTabId = null; }
-    return;
-  }
+function describeSeatChoice(seat, rank) {
+  return rank === 0 ? seat : `${seat} (choice #${rank + 1})`;
+}
 
-  await sleep(SSO_SETTLE_DELAY);
+async function resolveSeatFeatureIds(tabId, plan, cachedFeatureIds, initialUrl) {
+  const featureIds = { ...cachedFeatureIds };
 
-  // Resolve feature ID if not cached
-  let seatFeatureId = cachedFeatureId;
-  if (!seatFeatureId) {
-    await addLog('info', `Looking up feature ID for "${preferredSeat}" via map search…`);
+  for (const seat of plan.seats) {
+    if (featureIds[seat]) continue;
+    await addLog('info', `Looking up feature ID for "${seat}" via map search…`);
     try {
-      await chrome.tabs.sendMessage(tab.id, { type: 'RESOLVE_SEAT', seatName: preferredSeat });
-      const result = await waitForSeatResult(MAP_SEAT_TIMEOUT);
-      if (result.error) throw new Error(result.error);
-      seatFeatureId = result.featureId;
-      await chrome.storage.local.set({ seatFeatureId });
-      await addLog('info', `Feature ID for "${preferredSeat}": ${seatFeatureId}`);
+      // Fresh map page each time — a previous lookup leaves a feature selected and hides the search box
+      await chrome.tabs.update(tabId, { url: initialUrl });
+      await waitForTabComplete(tabId, TAB_LOAD_TIMEOUT);
+      await sleep(SSO_SETTLE_DELAY);
+      const result = await callContent(tabId, 'RESOLVE_SEAT', { seatName: seat }, MAP_SEAT_TIMEOUT);
+      if (!result.ok) throw new Error(result.error);
+      featureIds[seat] = result.featureId;
+      await addLog('info', `Feature ID for "${seat}": ${result.featureId}`);
     } catch (err) {
-      await setState({ status: 'error' });
-      await addLog('error', `Could not find seat "${preferredSeat}": ${err.message}`);
-      await closeTab(activeTabId);
-      activeTabId = null;
-      showBookingNotification('error', 0, `Seat "${preferredSeat}" not found on map`);
-      return;
+      await addLog('warn', `Could not find seat "${seat}": ${err.message} — dropping it from the list.`);
     }
   }
 
-  // Pre-scan schedule page to skip already-booked dates
-  await addLog('info', 'Scanning schedule page for existing bookings…');
-  const targetDateStrings = dates.map(toLocalDateStr);
-  const bookedDates = await scanScheduleForBookedDates(activeTabId, targetDateStrings);
-  const bookedSet = new Set(bookedDates);
-  const datesToBook = dates.filter((d) => !bookedSet.has(toLocalDateStr(d)));
-  const skipped = dates.length - datesToBook.length;
-  if (skipped > 0) await addLog('info', `Skipping ${skipped} already-booked date(s).`);
-
-  if (datesToBook.length === 0) {
-    await setState({ status: 'done', total: 0, current: 0 });
-    await addLog('info', 'All upcoming dates are already booked — nothing to do.');
-    if (activeTabId) { await closeTab(activeTabId); activeTabId = null; }
-    showBookingNotification('done', 0);
-    return;
+  await cacheFeatureIds(plan.locationId, featureIds);
+  return featureIds;
+}
+
+async function advanceProgress() {
+  const { current } = await getState();
+  await setState({ current: current + 1 });
+}
+
+async function prepareSeatCandidates(tabId, plan, settings, date) {
+  const initialUrl = buildMapUrl(plan.locationId, date);
+  const featureIds = await resolveSeatFeatureIds(tabId, plan, readFeatureIdCache(settings, plan.locationId), initialUrl);
+  const candidates = plan.seats.filter((seat) => featureIds[seat]);
+  if (candidates.length === 0) {
+    throw new Error(`None of the seats [${plan.seats.join(', ')}] could be found on map ${plan.locationId}.`);
   }
+  return { featureIds, candidates };
+}
 
-  await setState({ status: 'running', total: datesToBook.length, current: 0 });
-  let booked = 0;
+// Walks the ranked seat list for one date until a seat sticks
+async function bookDateFromCandidates(tabId, date, plan, candidates, featureIds, preview = false) {
+  const dateStr = formatDate(date);
+  const codes = [];
+  let lastError = '';
 
-  for (let i = 0; i < datesToBook.length; i++) {
-    const date = datesToBook[i];
-    const { selectedTime, selectedEndTime } = getDayTimestamps(date);
-    const mapUrl = `${MAP_BASE_URL}/${locationId}?selectedTime=${selectedTime}&selectedEndTime=${selectedEndTime}&selectedFeatureId=${seatFeatureId}`;
-    const dateStr = formatDate(date);
+  for (let rank = 0; rank < candidates.length && !abortRequested; rank++) {
+    const seat = candidates[rank];
+    const featureId = featureIds[seat];
 
-    await addLog('info', `[${dateStr}] Navigating to map page…`);
+    await addLog('info', `[${dateStr}] Trying "${seat}" — navigating to map page…`);
     try {
-      await chrome.tabs.update(activeTabId, { url: mapUrl });
-      await waitForTabComplete(activeTabId, TAB_LOAD_TIMEOUT);
+      await chrome.tabs.update(tabId, { url: buildMapUrl(plan.locationId, date, featureId) });
+      await waitForTabComplete(tabId, TAB_LOAD_TIMEOUT);
       await sleep(2500); // let Leaflet finish rendering markers
 
-      await chrome.tabs.sendMessage(activeTabId, {
-        type: 'BOOK_SEAT',
-        featureId: seatFeatureId,
-        seatName: preferredSeat,
+      const result = await callContent(tabId, 'BOOK_SEAT', {
+        featureId,
+        seatName: seat,
         dateStr,
-      });
-
-      const result = await waitForSeatResult(MAP_BOOKING_TIMEOUT);
-      if (result.ok) {
-        booked++;
-        await addLog('success', `[${dateStr}] Booked "${preferredSeat}".`);
-      } else {
-        await addLog('error', `[${dateStr}] ${result.error}`);
-      }
+        preview,
+      }, MAP_BOOKING_TIMEOUT);
+      if (result.ok) return { wonRank: rank, codes, lastError };
+      codes.push(result.code);
+      lastError = result.error;
+      await addLog('warn', `[${dateStr}] ${result.error}`);
+      if (result.code === 'no_markers') break; // map itself is broken — other seats won't fare better
     } catch (err) {
-      await addLog('error', `[${dateStr}] ${err.message}`);
+      codes.push('error');
+      lastError = err.message;
+      await addLog('warn', `[${dateStr}] ${err.message}`);
     }
-
-    await setState({ current: i + 1 });
   }
 
-  await setState({ status: 'done', current: datesToBook.length, total: datesToBook.length });
-  await addLog('success', `Done — ${booked}/${datesToBook.length} day(s) booked for "${preferredSeat}".`);
-  if (activeTabId) { await closeTab(activeTabId); activeTabId = null; }
-  await chrome.storage.local.set({ lastRunDate: getTodayString() });
-  showBookingNotification('done', booked);
+  return { wonRank: -1, codes, lastError };
 }
 
-async function runBooking(selectedDays = [1, 2, 3, 4, 5]) {
-  pendingSelectedDays = selectedDays;
-  if (activeTabId !== null) {
-    await addLog('warn', 'Booking already in progress — ignoring duplicate request.');
-    return;
-  }
+async function runMapFlow(tabId, dates, plan, settings, preview = false) {
+  await addLog('info', `Map booking: ${describePlan(plan)} for ${dates.length} date(s).`);
 
-  await chrome.storage.session.set({
-    envoy_booking: { ...defaultState(), status: 'running', log: [] },
-  });
+  const { featureIds, candidates } = await prepareSeatCandidates(tabId, plan, settings, dates[0]);
 
-  // Branch: map flow vs schedule flow
-  const {
-    bookingMode    = 'auto',
-    preferredSeat  = '',
-    seatFeatureId  = '',
-    mapLocationId  = MAP_DEFAULT_LOC_ID,
-  } = await chrome.storage.local.get(['bookingMode', 'preferredSeat', 'seatFeatureId', 'mapLocationId']);
+  let booked = 0;
+  const bookings = [];
+  const planned = [];
+  const results = [];
 
-  if (bookingMode === 'map' && preferredSeat) {
-    await runMapFlow(selectedDays, preferredSeat, seatFeatureId, mapLocationId);
-    return;
-  }
+  for (const date of dates) {
+    if (abortRequested) break;
+    const dateStr = formatDate(date);
+    await updateCheckpoint({ pending: { type: 'BOOK_SEAT', label: dateStr } });
+    const { wonRank, codes, lastError } = await bookDateFromCandidates(tabId, date, plan, candidates, featureIds, preview);
+
+    if (abortRequested && wonRank < 0) break; // stopped mid-date — don't report it as a failure
+    if (wonRank >= 0 && preview) {
+      const won = describeSeatChoice(candidates[wonRank], wonRank);
+      planned.push({ dateKey: toLocalDateStr(date), desk: won });
+      await addLog('info', `[${dateStr}] Would book "${won}".`);
+    } else if (wonRank >= 0) {
+      const won = describeSeatChoice(candidates[wonRank], wonRank);
+      booked++;
+      bookings.push({ date: dateStr, dateKey: toLocalDateStr(date), desk: won });
+      results.push(makeResult(date, 'booked', won));
+      await addLog('success', `[${dateStr}] Booked "${won}".`);
+    } else {
+      const allTaken = codes.length === candidates.length && codes.every((c) => c === 'taken');
+      if (!preview) results.push(makeResult(date, 'failed', '', allTaken ? 'Every seat on the list was taken' : lastError));
+      await addLog('error', `[${dateStr}] No seat from the list could be booked.`);
+    }
+    if (!preview && codes[0] === 'taken') {
+      await registerSeatWatch(date, candidates[0], featureIds[candidates[0]], plan.locationId, wonRank >= 0);
+    }
 
-  await addLog('info', 'Opening Envoy schedule page in background tab…');
+    const won = !preview && wonRank >= 0 ? [bookings[bookings.length - 1]] : [];
+    await checkpointDates([toLocalDateStr(date)], won, 'map');
+    await advanceProgress();
+  }
 
-  // Open schedule page in a background (inactive) tab
-  let tab;
-  try {
-    tab = await chrome.tabs.create({ url: SCHEDULE_URL, active: false });
-    activeTabId = tab.id;
-    await addLog('info', `Background tab created (id=${tab.id}).`);
-  } catch (err) {
-    await setState({ status: 'error' });
-    await addLog('error', `Failed to create tab: ${err.message}`);
-    activeTabId = null;
-    return;
+  if (!preview) {
+    await addLog('success', `Map booking done — ${booked}/${dates.length} day(s) booked from [${candidates.join(', ')}].`);
   }
+  return { booked, bookings, planned, results };
+}
 
-  // Wait for the tab to finish loading
-  try {
-    await addLog('info', 'Waiting for page to load…');
-    await waitForTabComplete(tab.id, TAB_LOAD_TIMEOUT);
+/* ── Schedule (auto-assign) flow ─────────────────────────────────────── */
 
-    // Re-fetch tab to check final URL (detect login redirect)
-    const loaded = await chrome.tabs.get(tab.id);
-    await addLog('info', `Page loaded. URL: ${loaded.url}`);
+async function runScheduleFlow(tabId, days, expected, horizonEnd, excluded, preview = false, targetDates = null) {
+  await addLog('info', `Auto-assign: scheduling desks for ${describeDays(days)}.`);
 
-    if (!loaded.url.includes('dashboard.envoy.com')) {
-      throw new Error('Redirected away from Envoy — are you logged in?');
-    }
-    if (isLoginUrl(loaded.url)) {
-      await attemptAutoLogin(tab.id);
-      // After SSO, Envoy may land on dashboard root — navigate back to schedule
-      await chrome.tabs.update(tab.id, { url: SCHEDULE_URL });
-      await waitForTabComplete(tab.id, TAB_LOAD_TIMEOUT);
-    }
-  } catch (err) {
-    await setState({ status: 'error' });
-    await addLog('error', err.message);
-    await closeTab(tab.id);
-    activeTabId = null;
-    return;
+  const current = await chrome.tabs.get(tabId);
+  if (!current.url.startsWith(SCHEDULE_URL)) {
+    await chrome.tabs.update(tabId, { url: SCHEDULE_URL });
+    await waitForTabComplete(tabId, TAB_LOAD_TIMEOUT);
+    await sleep(SSO_SETTLE_DELAY);
   }
 
-  await sleep(SSO_SETTLE_DELAY); // extra pause for the SPA to finish rendering
+  progressOffset = (await getState()).current;
 
   // Kick off the content script
   await addLog('info', 'Sending booking command to page…');
+  await updateCheckpoint({ pending: { type: 'START_BOOKING', label: describeDays(days) } });
+  // Progress arrives as BOOKING_PROGRESS messages while the page works (see onMessage below)
+  const result = await callContent(tabId, 'START_BOOKING', {
+    selectedDays: days,
+    horizonEnd: toLocalDateStr(horizonEnd),
+    excludedDates: excluded,
+    preview,
+    targetDates,
+  }, SCHEDULE_FLOW_TIMEOUT);
+  if (!result.ok) throw new Error(result.error);
+
+  if (!preview) await addLog('success', `Schedule page done — scheduled ${result.total} desk(s).`);
+  await setState({ current: progressOffset + expected });
+  const results = (result.results || []).map((r) => makeResult(r.dateKey, r.status, r.seat, r.reason));
+  return { booked: result.total, bookings: result.bookings, planned: result.planned, results };
+}
+
+/* ── Weekly quota ────────────────────────────────────────────────────── */
+
+
+async function getQuotaSettings() {
+  const { weeklyQuota } = await chrome.storage.local.get('weeklyQuota');
+  return { ...DEFAULT_QUOTA, ...weeklyQuota };
+}
+
+// YYYY-MM-DD of the Monday starting the week that contains `date`
+function weekKeyOf(date) {
+  const d = startOfDay(typeof date === 'string' ? new Date(`${date}T00:00`) : date);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return toLocalDateStr(d);
+}
+
+function getWeekDays(weekKey) {
+  return Array.from({ length: 7 }, (_, i) => {
+    const d = new Date(`${weekKey}T00:00`);
+    d.setDate(d.getDate() + i);
+    return d;
+  });
+}
+
+// Every day of every week touched by `dates`
+function getWeekDateKeys(dates) {
+  const weeks = new Set(dates.map(weekKeyOf));
+  return [...weeks].flatMap((key) => getWeekDays(key).map(toLocalDateStr));
+}
+
+function rankByPriority(dates, priority) {
+  const rank = (d) => (priority.includes(d.getDay()) ? priority.indexOf(d.getDay()) : 7);
+  return [...dates].sort((a, b) => rank(a) - rank(b) || a - b);
+}
+
+// Per week: days already booked, and bookable candidates best-first
+function buildQuotaWeeks(dates, bookedSet, quota, selectedDays, horizonEnd) {
+  const weeks = new Map();
+  for (const date of dates) {
+    const key = weekKeyOf(date);
+    if (!weeks.has(key)) {
+      const booked = getWeekDays(key).filter((d) => bookedSet.has(toLocalDateStr(d))).length;
+      weeks.set(key, { booked, candidates: [] });
+    }
+    weeks.get(key).candidates.push(date);
+  }
+
+  for (const [key, week] of weeks) {
+    week.candidates = rankByPriority(week.candidates, quota.priority);
+    // Week runs past the horizon: only take days that will still rank in its top N once it is fully open
+    const openLater = getWeekDays(key).filter((d) => d > horizonEnd && selectedDays.includes(d.getDay()));
+    if (openLater.length > 0) {
+      const top = rankByPriority([...week.candidates, ...openLater], quota.priority).slice(0, quota.days - week.booked);
+      week.candidates = week.candidates.filter((d) => top.includes(d));
+    }
+  }
+  return weeks;
+}
+
+// Books the highest-priority days each week still needs, falling back to the next ones when a round fails
+async function runQuotaRounds(flow, groups, bookedSet, quota, selectedDays) {
+  const dates = groups.flatMap((g) => g.dates);
+  const weeks = buildQuotaWeeks(dates, bookedSet, quota, selectedDays, flow.horizonEnd);
+  const picked = new Set();
+  const totals = { booked: 0, bookings: [], planned: [], results: [], lastError: '' };
+  let rounds = 0;
+  let failedRounds = 0;
+
+  await addLog('info', `Weekly quota: ${quota.days} day(s) per week, preferring ${quota.priority.map((d) => DAY_NAMES[d]).join(' > ')}.`);
+
+  while (!abortRequested) {
+    const picks = [];
+    for (const week of weeks.values()) {
+      const needed = quota.days - week.booked;
+      if (needed > 0) picks.push(...week.candidates.splice(0, needed));
+    }
+    if (picks.length === 0) break;
+
+    rounds++;
+    picks.sort((a, b) => a - b);
+    picks.forEach((d) => picked.add(toLocalDateStr(d)));
+    await addLog('info', `Weekly quota round ${rounds}: trying ${picks.map(formatDate).join(', ')}.`);
+
+    const result = await runPlanGroups(flow, groupDatesByPlan(picks, flow.settings), picks.map(toLocalDateStr));
+    totals.booked += result.booked;
+    totals.bookings.push(...result.bookings);
+    totals.planned.push(...result.planned);
+    totals.results.push(...result.results);
+    if (result.allFailed) {
+      failedRounds++;
+      totals.lastError = result.lastError;
+    }
+    for (const { dateKey } of [...result.bookings, ...result.planned]) {
+      const week = dateKey && weeks.get(weekKeyOf(dateKey));
+      if (week) week.booked++;
+    }
+    if (flow.preview) break; // nothing fails in a preview, so there is no fallback to show
+  }
+
+  if (rounds === 0) await addLog('info', 'Weekly quota already met for every week in range — nothing to book.');
+  const notNeeded = new Set(dates.map(toLocalDateStr).filter((key) => !picked.has(key)));
+  return { ...totals, notNeeded, allFailed: rounds > 0 && failedRounds === rounds };
+}
+
+/* ── Post-run verification ───────────────────────────────────────────── */
+
+// A click that Envoy rejected still counts as booked in the flows, so every run ends by
+// re-scanning the schedule page. Each target date becomes confirmed (reported and shown),
+// missing (reported but not shown) or unexpected (shown, but not reported and not booked before).
+async function verifyBookings(tabId, targetKeys, bookings, alreadyBooked) {
+  await addLog('info', 'Verifying bookings against the schedule page…');
+  let scan;
+  try {
+    scan = await scanScheduleBookings(tabId, targetKeys);
+  } catch (err) {
+    await addLog('warn', `Could not verify bookings (${err.message}) — the summary is unconfirmed.`);
+    return null;
+  }
+
+  const actual = new Set(scan.bookedDates);
+  const intended = new Map(bookings.filter((b) => b.dateKey).map((b) => [b.dateKey, b]));
+  const rows = [];
+  for (const dateKey of targetKeys) {
+    const shown = scan.desks[dateKey] || '';
+    if (intended.has(dateKey)) {
+      const desk = intended.get(dateKey).desk;
+      rows.push(actual.has(dateKey)
+        ? { dateKey, outcome: 'confirmed', desk: shown || desk }
+        : { dateKey, outcome: 'missing', desk });
+    } else if (actual.has(dateKey) && !alreadyBooked.has(dateKey)) {
+      rows.push({ dateKey, outcome: 'unexpected', desk: shown });
+    }
+  }
+  return rows;
+}
+
+// `result` is a flow's { booked, bookings }; the reconciled bookings are what the page actually shows
+async function reconcileBookings(tabId, targetKeys, result, alreadyBooked, settings) {
+  if (targetKeys.length === 0) return { ...result, verification: [] };
+  const rows = await verifyBookings(tabId, targetKeys, result.bookings, alreadyBooked);
+  if (!rows) return { ...result, verification: [] };
+
+  const byDate = new Map(rows.map((r) => [r.dateKey, r]));
+  const patches = [];
+  // Undated bookings are dropped: the scan saw every booking in range, so they show up as unexpected
+  const bookings = result.bookings
+    .filter((b) => b.dateKey && (!targetKeys.includes(b.dateKey) || byDate.get(b.dateKey)?.outcome === 'confirmed'))
+    .map((b) => ({ ...b, desk: byDate.get(b.dateKey)?.desk || b.desk }));
+
+  for (const row of rows) {
+    const date = new Date(`${row.dateKey}T00:00`);
+    if (row.outcome === 'confirmed') {
+      patches.push(makeResult(date, 'booked', row.desk));
+    } else if (row.outcome === 'missing') {
+      await addLog('error', `[${formatDate(date)}] Reported as booked, but the schedule page doesn't show it.`);
+      await amendHistory(row.dateKey, { outcome: 'failed', note: 'Not on the schedule page after the run' });
+      patches.push(makeResult(date, 'failed', '', 'Not on the schedule page after the run'));
+    } else if (row.outcome === 'unexpected') {
+      const desk = row.desk || 'Booked';
+      await addLog('warn', `[${formatDate(date)}] The schedule page shows a booking the run didn't report.`);
+      await recordHistory(date, getPlanForDay(date.getDay(), settings).mode, 'booked', desk, 'Found when verifying the run');
+      bookings.push({ date: formatDate(date), dateKey: row.dateKey, desk });
+      patches.push(makeResult(date, 'booked', desk, 'Found when verifying the run'));
+    }
+  }
+  const count = (outcome) => rows.filter((r) => r.outcome === outcome).length;
+  await addLog(count('missing') + count('unexpected') > 0 ? 'warn' : 'info',
+    `Verification: ${count('confirmed')} confirmed, ${count('missing')} missing, ${count('unexpected')} unexpected.`);
+
+  bookings.sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+  const verification = rows.map((r) => ({ ...r, date: formatDate(new Date(`${r.dateKey}T00:00`)) }));
+  return { booked: bookings.length, bookings, verification, results: mergeResults(result.results || [], patches) };
+}
+
+function describeDiscrepancies(verification) {
+  const issues = verification.filter((v) => v.outcome !== 'confirmed').length;
+  return issues > 0 ? `${issues} date(s) didn't match the schedule page — check the popup.` : '';
+}
+
+/* ── Run orchestration ───────────────────────────────────────────────── */
+
+// `reuseTabId` is the tab a resumed run re-attaches to instead of opening a new one
+async function openEnvoyTab(url, reuseTabId = null) {
+  const tab = reuseTabId !== null
+    ? await chrome.tabs.update(reuseTabId, { url })
+    : await chrome.tabs.create({ url, active: false });
+  activeTabId = tab.id;
+  await updateCheckpoint({ tabId: tab.id });
+  await addLog('info', reuseTabId !== null ? `Re-attached to background tab (id=${tab.id}).` : `Background tab created (id=${tab.id}).`);
+
+  await addLog('info', 'Waiting for page to load…');
+  await waitForTabComplete(tab.id, TAB_LOAD_TIMEOUT);
+
+  // Re-fetch tab to check final URL (detect login redirect)
+  const loaded = await chrome.tabs.get(tab.id);
+  await addLog('info', `Page loaded. URL: ${loaded.url}`);
+
+  // Envoy's login page, or an identity provider it redirected to
+  if (!isSignedIn(loaded.url)) {
+    await attemptAutoLogin(tab.id);
+    // After SSO, Envoy may land on dashboard root — navigate back to where we were going
+    await chrome.tabs.update(tab.id, { url });
+    await waitForTabComplete(tab.id, TAB_LOAD_TIMEOUT);
+  }
+
+  await sleep(SSO_SETTLE_DELAY); // extra pause for the SPA to finish rendering
+  return tab.id;
+}
+
+// A scheduled or manual run serves the latest slot at or before its end — an alarm that fired mid-run
+// was swallowed by it. The sniper books a single day, so it leaves the slot for runMissedSlot.
+async function recordRunEnd() {
+  const schedule = await getRunSchedule();
+  const lastSlotAt = SLOT_TRIGGERS.includes(currentRun?.trigger)
+    ? getLastRunSlot(schedule, new Date())?.getTime() ?? 0
+    : await getLastServedSlot(schedule);
+  await chrome.storage.local.set({ lastRunAt: Date.now(), lastSlotAt });
+}
+
+async function finishRun({ booked, bookings, error, verification = [], results = [], aborted = abortRequested }) {
+  const carried = await getCarriedRows(bookings, 'dateKey');
+  booked += carried.length;
+  bookings = [...carried, ...bookings];
+  const status = aborted ? 'cancelled' : error ? 'error' : 'done';
+  const state = await getState();
+  // Flows that don't report per-date results (the sniper, carried rows) still list their bookings
+  const bookedRows = bookings.filter((b) => b.dateKey).map((b) => makeResult(b.dateKey, 'booked', b.desk));
+  results = mergeResults(state.results || [], bookedRows, results);
+  await setState({ status, booked, bookings, verification, results, ...(status === 'done' ? { current: state.total } : {}) });
+  if (aborted) await addLog('warn', `Run stopped — booked ${booked} desk(s) before stopping.`);
+  else if (!error) await addLog('success', `Done! Successfully booked ${booked} desk(s).`);
+  if (activeTabId !== null) {
+    await closeTab(activeTabId);
+    activeTabId = null;
+  }
+  await clearCheckpoint();
+  await recordRunEnd();
+  // The user is already looking at the popup after pressing Stop
+  if (!aborted) showBookingNotification(status, booked, error, 'book', describeDiscrepancies(verification));
+}
+
+async function abortRun() {
+  if (activeTabId === null) {
+    // Nothing is actually running (e.g. the worker restarted) — just clear the stuck state
+    abortRequested = true; // a resume that hasn't opened its tab yet stops at its next check
+    await clearCheckpoint();
+    if ((await getState()).status === 'running') {
+      await setState({ status: 'cancelled' });
+      await addLog('warn', 'Run stopped.');
+    }
+    return;
+  }
+  abortRequested = true;
+  await addLog('warn', 'Stop requested — finishing the current step…');
+  chrome.tabs.sendMessage(activeTabId, { type: 'STOP' }).catch(() => {});
+  // START_BOOKING / START_CANCELLATION stay open: the page stops itself and reports what it did
+  cancelCalls((call) => !call.type.startsWith('START_'), 'aborted', 'Stopped by user');
+}
+
+// Previews never count as a run and don't notify — the popup shows the plan
+async function finishPreview({ plan, error }) {
+  const { total } = await getState();
+  const status = abortRequested ? 'cancelled' : error ? 'error' : 'done';
+  await setState({ status, plan, ...(status === 'done' ? { current: total } : {}) });
+  if (abortRequested) {
+    await addLog('warn', 'Preview stopped.');
+  } else if (!error) {
+    const count = plan.filter((row) => row.outcome === 'book').length;
+    await addLog('success', `Preview done — ${count} date(s) would be booked. Nothing was clicked.`);
+  }
+  if (activeTabId !== null) {
+    await closeTab(activeTabId);
+    activeTabId = null;
+  }
+  await clearCheckpoint();
+}
+
+// One row per target date: book | booked | excluded | not_needed | unavailable
+function buildPreviewPlan(skipped, groups, bookedSet, planned, notNeeded = new Set()) {
+  const rows = skipped.map(({ date, label }) => ({ date, outcome: 'excluded', detail: label }));
+  for (const group of groups) {
+    for (const date of group.dates) {
+      const key = toLocalDateStr(date);
+      const desk = planned.get(key);
+      if (bookedSet.has(key)) rows.push({ date, outcome: 'booked', detail: '' });
+      else if (desk) rows.push({ date, outcome: 'book', detail: desk });
+      else if (notNeeded.has(key)) rows.push({ date, outcome: 'not_needed', detail: 'Weekly quota' });
+      else if (group.plan.mode === 'map' && !group.plan.locationId) rows.push({ date, outcome: 'unavailable', detail: 'No map location chosen' });
+      else if (group.plan.mode === 'map') rows.push({ date, outcome: 'unavailable', detail: 'No seat from the list is free' });
+      else rows.push({ date, outcome: 'unavailable', detail: 'No Schedule button for this day' });
+    }
+  }
+  return rows
+    .sort((a, b) => a.date - b.date)
+    .map((row) => ({ ...row, date: formatDate(row.date) }));
+}
+
+// Runs each plan group over its dates. `targetDates` limits auto-assign to exactly those days.
+async function runPlanGroups({ tabId, settings, horizonEnd, excluded, preview }, groups, targetDates = null) {
+  const { total } = await getState();
+  await setState({ status: 'running', total: total + groups.reduce((sum, g) => sum + g.dates.length, 0) });
+
+  let booked = 0;
+  const bookings = [];
+  const planned = [];
+  const results = [];
+  const runKeys = new Set(groups.flatMap((g) => g.dates).map(toLocalDateStr));
+  let failedGroups = 0;
+  let lastError = '';
+
+  for (const group of groups) {
+    if (abortRequested) break;
+    try {
+      const outcome = group.plan.mode === 'map'
+        ? await runMapFlow(tabId, group.dates, group.plan, settings, preview)
+        : await runScheduleFlow(tabId, group.days, group.dates.length, horizonEnd, excluded, preview, targetDates);
+      booked += outcome.booked;
+      bookings.push(...outcome.bookings);
+      planned.push(...(outcome.planned || []));
+      if (!preview) results.push(...await recordGroupResults(group, outcome.results, runKeys));
+      if (group.plan.mode === 'auto') await checkpointDates(group.dates.map(toLocalDateStr), outcome.bookings, 'auto');
+    } catch (err) {
+      failedGroups++;
+      lastError = err.message;
+      await addLog('error', `${describeDays(group.days)}: ${err.message}`);
+      if (!preview) results.push(...await recordGroupResults(group, [], runKeys, err.message));
+    }
+  }
+
+  return { booked, bookings, planned, results, allFailed: failedGroups === groups.length, lastError };
+}
+
+// Every date in the group gets a result — booked, or failed with the flow's reason when it gave one —
+// and a history entry. Rows for other days (ones the schedule page skipped) pass through unless
+// another group of the run owns that day.
+async function recordGroupResults(group, reported, runKeys, error) {
+  const byDate = new Map(reported.map((r) => [r.dateKey, r]));
+  const missed = error || (group.plan.mode === 'map' ? 'No seat from the list could be booked' : 'No Schedule button was clicked for this day');
+  const rows = [];
+  for (const date of group.dates) {
+    const key = toLocalDateStr(date);
+    const row = byDate.get(key);
+    byDate.delete(key);
+    if (row?.status === 'booked') {
+      rows.push(row);
+      await recordHistory(date, group.plan.mode, 'booked', row.seat);
+    } else if (!abortRequested) {
+      rows.push(makeResult(date, 'failed', '', row?.reason || missed));
+      await recordHistory(date, group.plan.mode, 'failed', '', row?.reason || missed);
+    }
+  }
+  return [...rows, ...[...byDate.values()].filter((r) => !runKeys.has(r.dateKey))];
+}
+
+// `resume` is the checkpoint of a run the previous worker instance didn't get to finish
+async function runBooking(selectedDays = [1, 2, 3, 4, 5], { preview = false, trigger = 'manual', resume = null } = {}) {
+  if (activeTabId !== null) {
+    // runMissedSlot starts a turned-away scheduled run once the tab is free
+    if (trigger === 'alarm') await addLog('info', 'Scheduled run is due — it will start when the current job finishes.');
+    else await addLog('warn', 'Booking already in progress — ignoring duplicate request.');
+    return;
+  }
+  abortRequested = false;
+  if (preview) currentRun = null; // previews leave no history
+  else if (resume) currentRun = { runId: resume.runId, trigger };
+  else beginRun(trigger);
+
+  if (resume) {
+    await setState({ status: 'running', current: 0, total: 0 });
+    if (!preview) await recordCarriedHistory(resume);
+  } else {
+    await chrome.storage.session.set({
+      envoy_booking: { ...defaultState(), action: preview ? 'preview' : 'book', status: 'running', log: [] },
+    });
+  }
+  if (preview && !resume) await addLog('info', 'Preview run — checking what would be booked without clicking anything.');
+
+  const settings = await chrome.storage.local.get(PLAN_SETTING_KEYS);
+  const quota = await getQuotaSettings();
+  const horizonDays = await getHorizonDays();
+  const horizonEnd = getHorizonEnd(horizonDays);
+  await addLog('info', `Booking up to ${horizonDays} day(s) ahead (until ${formatDate(horizonEnd)}).`);
+  const excluded = await getExcludedDates(new Date(), horizonEnd);
+  const { dates: allDates, skipped } = getTargetDates(selectedDays, horizonDays, excluded);
+  for (const { date, label } of resume ? [] : skipped) {
+    await addLog('info', `[${formatDate(date)}] Excluded — ${label}.`);
+    await recordHistory(date, getPlanForDay(date.getDay(), settings).mode, 'excluded', '', label);
+  }
+  // A resumed run only attempts the dates the previous worker hadn't got to
+  const dates = resume && !preview ? allDates.filter((d) => !resume.done.includes(toLocalDateStr(d))) : allDates;
+  await setState({ skipped: skipped.map(({ date, label }) => ({ date: formatDate(date), label })) });
+  if (!preview) await addResults(skipped.map(({ date, label }) => makeResult(date, 'excluded', '', label)));
+  const groups = groupDatesByPlan(dates, settings);
+  // Snapshot before already-booked dates are filtered out, so the preview can list them
+  const previewGroups = groups.map((g) => ({ ...g, dates: [...g.dates] }));
+  let bookedSet = new Set();
+  const planned = new Map();
+
+  if (groups.length === 0 && preview) {
+    await finishPreview({ plan: buildPreviewPlan(skipped, [], bookedSet, planned) });
+    return;
+  }
+  if (groups.length === 0 && resume) {
+    await finishRun({ booked: 0, bookings: [] });
+    return;
+  }
+  if (groups.length === 0) {
+    await setState({ status: 'done', total: 0, current: 0 });
+    await addLog('warn', 'No upcoming dates match the selected days.');
+    await recordRunEnd();
+    showBookingNotification('done', 0);
+    return;
+  }
+
+  for (const group of groups) {
+    await addLog('info', `Plan: ${describeDays(group.days)} → ${describePlan(group.plan)} (${group.dates.length} date(s)).`);
+  }
+
+  const autoGroups = groups.filter((g) => g.plan.mode === 'auto');
+  const mapGroups  = groups.filter((g) => g.plan.mode === 'map');
+
+  const unlocated = mapGroups.filter((g) => !g.plan.locationId);
+  for (const group of unlocated) {
+    await addLog('error', `No map location chosen for ${describeDays(group.days)}. Open Settings (gear icon) and pick a location and floor.`);
+    for (const date of group.dates) await recordHistory(date, 'map', 'failed', '', 'No map location chosen');
+    if (!preview) await addResults(group.dates.map((date) => makeResult(date, 'failed', '', 'No map location chosen')));
+  }
+  const runnableMapGroups = mapGroups.filter((g) => g.plan.locationId);
+  if (autoGroups.length === 0 && runnableMapGroups.length === 0 && preview) {
+    await finishPreview({ plan: buildPreviewPlan(skipped, previewGroups, bookedSet, planned) });
+    return;
+  }
+  if (autoGroups.length === 0 && runnableMapGroups.length === 0) {
+    await finishRun({ booked: 0, bookings: [], error: 'No map location chosen' });
+    return;
+  }
+
+  if (!resume) await startCheckpoint({ kind: 'book', selectedDays, preview, trigger, runId: currentRun?.runId });
+  await addLog('info', 'Opening Envoy in background tab…');
+  let tabId;
   try {
-    await chrome.tabs.sendMessage(tab.id, { type: 'START_BOOKING', selectedDays: pendingSelectedDays });
+    tabId = await openEnvoyTab(SCHEDULE_URL, resume?.tabId ?? null);
   } catch (err) {
     await setState({ status: 'error' });
-    await addLog('error', `Could not communicate with content script: ${err.message}`);
+    await addLog('error', err.message);
+    if (activeTabId !== null) { await closeTab(activeTabId); activeTabId = null; }
+    await clearCheckpoint();
+    if (!preview) await recordRunEnd();
+    return;
+  }
+
+  // Pre-scan schedule page so already-booked dates are skipped — and so any date still unbooked
+  // after the run is a real failure for the retry queue, not a day that was booked all along
+  const scanGroups = [...autoGroups, ...runnableMapGroups];
+  await addLog('info', 'Scanning schedule page for existing bookings…');
+  const scanDates = scanGroups.flatMap((g) => g.dates).map(toLocalDateStr);
+  // The quota counts bookings on any day of the week, not just the selected ones
+  if (quota.enabled) scanDates.push(...getWeekDateKeys(scanGroups.flatMap((g) => g.dates)));
+  bookedSet = new Set(await scanScheduleForBookedDates(tabId, [...new Set(scanDates)]));
+  let alreadyBooked = 0;
+  for (const group of scanGroups) {
+    const before = group.dates.length;
+    for (const date of group.dates) {
+      if (!bookedSet.has(toLocalDateStr(date))) continue;
+      await recordHistory(date, group.plan.mode, 'already_booked');
+      if (!preview) await addResults([makeResult(date, 'already_booked')]);
+    }
+    group.dates = group.dates.filter((d) => !bookedSet.has(toLocalDateStr(d)));
+    alreadyBooked += before - group.dates.length;
+  }
+  if (alreadyBooked > 0) await addLog('info', `Skipping ${alreadyBooked} already-booked date(s).`);
+
+  const toRun = [...autoGroups, ...runnableMapGroups].filter((g) => g.dates.length > 0);
+  if (toRun.length === 0 && preview) {
+    await finishPreview({ plan: buildPreviewPlan(skipped, previewGroups, bookedSet, planned) });
+    return;
+  }
+  if (toRun.length === 0) {
+    await setState({ total: 0 });
+    await addLog('info', 'All upcoming dates are already booked — nothing to do.');
+    await finishRun({ booked: 0, bookings: [] });
+    return;
+  }
+
+  // Stopped while signing in or scanning
+  if (abortRequested && preview) {
+    await finishPreview({ plan: [] });
+    return;
+  }
+  if (abortRequested) {
+    await finishRun({ booked: 0, bookings: [] });
+    return;
+  }
+
+  const flow = { tabId, settings, horizonEnd, excluded, preview };
+  const result = quota.enabled
+    ? await runQuotaRounds(flow, toRun, bookedSet, quota, selectedDays)
+    : await runPlanGroups(flow, toRun);
+  for (const { dateKey, desk } of result.planned) if (dateKey) planned.set(dateKey, desk);
+
+  // Only report the run as failed when no plan got anywhere
+  const error = result.allFailed ? result.lastError : undefined;
+  if (preview) {
+    await finishPreview({ plan: buildPreviewPlan(skipped, previewGroups, bookedSet, planned, result.notNeeded), error });
+    return;
+  }
+  const notNeeded = [...(result.notNeeded || [])].map((key) => makeResult(key, 'skipped_day', '', 'Not needed for the weekly quota'));
+  if (abortRequested) {
+    await finishRun({ booked: result.booked, bookings: result.bookings, results: [...notNeeded, ...result.results], error });
+    return;
+  }
+
+  const targetKeys = toRun.flatMap((g) => g.dates).map(toLocalDateStr);
+  const verified = await reconcileBookings(tabId, targetKeys, result, bookedSet, settings);
+  const bookedKeys = verified.bookings.map((b) => b.dateKey).filter(Boolean);
+  const missed = targetKeys.filter((key) => !bookedKeys.includes(key) && !result.notNeeded?.has(key));
+  await updateRetryQueue(missed, [...bookedKeys, ...bookedSet]);
+  await finishRun({ ...verified, results: [...notNeeded, ...verified.results], error });
+}
+
+/* ── Bulk cancellation ───────────────────────────────────────────────── */
+
+// YYYY-MM-DD strings from `from` to `to` (inclusive) on the selected weekdays
+function getCancellationDates(from, to, selectedDays) {
+  const dates = [];
+  const cursor = new Date(`${from}T00:00`);
+  while (toLocalDateStr(cursor) <= to) {
+    if (selectedDays.includes(cursor.getDay())) dates.push(toLocalDateStr(cursor));
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return dates;
+}
+
+async function finishCancellation({ cancelled, cancellations, error }) {
+  const status = abortRequested ? 'cancelled' : error ? 'error' : 'done';
+  const { total } = await getState();
+  await setState({ status, booked: cancelled, bookings: cancellations, ...(status === 'done' ? { current: total } : {}) });
+  if (abortRequested) await addLog('warn', `Stopped — cancelled ${cancelled} booking(s) before stopping.`);
+  else if (!error) await addLog('success', `Done! Cancelled ${cancelled} booking(s).`);
+  if (activeTabId !== null) {
+    await closeTab(activeTabId);
+    activeTabId = null;
+  }
+  await clearCheckpoint();
+  if (!abortRequested) showBookingNotification(status, cancelled, error, 'cancel');
+}
+
+async function runCancellation(from, to, selectedDays, resume = null) {
+  if (activeTabId !== null) {
+    await addLog('warn', 'A run is already in progress — ignoring cancellation request.');
+    return;
+  }
+
+  if (resume) {
+    await setState({ status: 'running' });
+  } else {
+    await chrome.storage.session.set({
+      envoy_booking: { ...defaultState(), action: 'cancel', status: 'running', log: [] },
+    });
+  }
+  abortRequested = false;
+  if (resume) currentRun = { runId: resume.runId, trigger: 'manual' };
+  else beginRun('manual');
+
+  const today = toLocalDateStr(new Date());
+  const dates = getCancellationDates(from < today ? today : from, to, selectedDays);
+  if (dates.length === 0) {
+    await setState({ status: 'done', total: 0, current: 0 });
+    await addLog('warn', 'No upcoming dates in that range match the selected days.');
+    await clearCheckpoint();
+    return;
+  }
+
+  await addLog('info', `Cancelling bookings on ${describeDays(selectedDays)} from ${dates[0]} to ${dates[dates.length - 1]} (${dates.length} day(s)).`);
+  await setState({ total: dates.length, current: 0 });
+
+  if (!resume) await startCheckpoint({ kind: 'cancel', from, to, selectedDays, runId: currentRun.runId });
+  try {
+    await addLog('info', 'Opening Envoy in background tab…');
+    const tabId = await openEnvoyTab(SCHEDULE_URL, resume?.tabId ?? null);
+    progressOffset = 0;
+
+    if (abortRequested) {
+      await finishCancellation({ cancelled: 0, cancellations: [] });
+      return;
+    }
+
+    await addLog('info', 'Sending cancellation command to page…');
+    await updateCheckpoint({ pending: { type: 'START_CANCELLATION', label: `${dates[0]} – ${dates[dates.length - 1]}` } });
+    const outcome = await callContent(tabId, 'START_CANCELLATION', { targetDates: dates, lastDate: dates[dates.length - 1] }, SCHEDULE_FLOW_TIMEOUT);
+    if (!outcome.ok) throw new Error(outcome.error);
+    const done = [...await getCarriedRows(outcome.cancellations, 'date'), ...outcome.cancellations];
+    for (const { date, desk } of done) await recordHistory(date, '', 'cancelled', desk);
+    const cancellations = done.map((c) => ({ ...c, date: formatDate(new Date(`${c.date}T00:00`)) }));
+    await finishCancellation({ cancelled: cancellations.length, cancellations });
+  } catch (err) {
+    await addLog('error', err.message);
+    await finishCancellation({ cancelled: 0, cancellations: [], error: err.message });
+  }
+}
+
+/* ── Release-time sniper ─────────────────────────────────────────────── */
+
+async function getSniperSettings() {
+  const { sniper } = await chrome.storage.local.get('sniper');
+  return { ...DEFAULT_SNIPER, ...sniper };
+}
+
+function getNextRelease(sniper, after) {
+  const [h, m] = sniper.releaseTime.split(':').map(Number);
+  const release = new Date(after);
+  release.setHours(h, m, 0, 0);
+  if (release <= after) release.setDate(release.getDate() + 1);
+  return release;
+}
+
+// The day that opens at `release` is the new far edge of the booking horizon
+function getReleasedDate(horizonDays, release) {
+  return getHorizonEnd(horizonDays, release);
+}
+
+// Chrome stops an idle service worker after ~30s; a cheap API call keeps it alive while we wait
+async function sleepUntil(timestamp) {
+  while (Date.now() < timestamp && !abortRequested) {
+    await sleep(Math.min(KEEPALIVE_INTERVAL, timestamp - Date.now()));
+    await chrome.runtime.getPlatformInfo();
+  }
+}
+
+async function scheduleSniperAlarm() {
+  const sniper = await getSniperSettings();
+  if (!sniper.enabled) {
+    await chrome.alarms.clear('sniperPrep');
+    await chrome.storage.local.set({ nextSnipe: null });
+    return;
+  }
+  const leadMs = sniper.leadMinutes * 60_000;
+  const release = getNextRelease(sniper, new Date(Date.now() + leadMs));
+  await chrome.alarms.create('sniperPrep', { when: release.getTime() - leadMs });
+  await chrome.storage.local.set({
+    nextSnipe: { releaseAt: release.getTime(), date: toLocalDateStr(getReleasedDate(await getHorizonDays(), release)) },
+  });
+}
+
+async function runSniper(release, resume = null) {
+  if (activeTabId !== null) {
+    await addLog('warn', 'Sniper: a booking run is already in progress — skipping this release.');
+    return;
+  }
+
+  const sniper = await getSniperSettings();
+  const date = getReleasedDate(await getHorizonDays(), release);
+  const dateStr = formatDate(date);
+  const { selectedDays = [1, 2, 3, 4, 5], ...settings } =
+    await chrome.storage.local.get(['selectedDays', ...PLAN_SETTING_KEYS]);
+
+  if (!selectedDays.includes(date.getDay())) return; // not a day we book
+  const exclusion = (await getExcludedDates(date, date))[toLocalDateStr(date)];
+  if (exclusion) {
+    await addLog('info', `Sniper: [${dateStr}] Excluded — ${exclusion}.`);
+    return;
+  }
+  const plan = getPlanForDay(date.getDay(), settings);
+  if (plan.mode !== 'map' || !plan.locationId) return; // sniping needs a specific seat and map
+
+  if (resume) {
+    await setState({ status: 'running' });
+    currentRun = { runId: resume.runId, trigger: 'sniper' };
+  } else {
+    await chrome.storage.session.set({
+      envoy_booking: { ...defaultState(), status: 'running', total: 1, log: [] },
+    });
+    beginRun('sniper');
+    await startCheckpoint({ kind: 'sniper', releaseAt: release.getTime(), runId: currentRun.runId });
+  }
+  abortRequested = false;
+  await addLog('info', `Sniper: ${dateStr} opens at ${release.toTimeString().slice(0, 5)} — preparing ${describePlan(plan)}.`);
+
+  let featureIds;
+  let candidates;
+  try {
+    const tabId = await openEnvoyTab(buildMapUrl(plan.locationId, date), resume?.tabId ?? null);
+
+    const quota = await getQuotaSettings();
+    const scanKeys = quota.enabled ? getWeekDateKeys([date]) : [toLocalDateStr(date)];
+    const bookedDates = await scanScheduleForBookedDates(tabId, scanKeys);
+    if (bookedDates.includes(toLocalDateStr(date))) {
+      await addLog('info', `Sniper: ${dateStr} is already booked — standing down.`);
+      await recordHistory(date, 'map', 'already_booked');
+      await finishRun({ booked: 0, bookings: [] });
+      return;
+    }
+    // Later days of the same week haven't opened yet, so the quota may prefer to wait for them
+    const quotaWeek = quota.enabled
+      && buildQuotaWeeks([date], new Set(bookedDates), quota, selectedDays, date).get(weekKeyOf(date));
+    if (quotaWeek && quotaWeek.candidates.length === 0) {
+      await addLog('info', `Sniper: ${dateStr} isn't needed for the weekly quota — standing down.`);
+      await finishRun({ booked: 0, bookings: [] });
+      return;
+    }
+
+    ({ featureIds, candidates } = await prepareSeatCandidates(tabId, plan, settings, date));
+  } catch (err) {
+    await addLog('error', `Sniper: ${err.message}`);
+    await recordHistory(date, 'map', 'failed', '', err.message);
+    await finishRun({ booked: 0, bookings: [], error: err.message });
+    return;
+  }
+
+  await addLog('info', `Sniper: ready — waiting for ${dateStr} to open…`);
+  await sleepUntil(release.getTime());
+  if (abortRequested) {
+    await finishRun({ booked: 0, bookings: [] });
+    return;
+  }
+
+  // The day may open a little late; keep trying until the retry window closes. An alarm that fired
+  // late (the machine was asleep) may find the window already shut, but still gets one attempt.
+  const deadline = release.getTime() + sniper.retrySeconds * 1000;
+  if (Date.now() >= deadline) {
+    await addLog('warn', `Sniper: started ${Math.round((Date.now() - release.getTime()) / 1000)}s after ${dateStr} opened — making one attempt.`);
+  }
+  let attempt = 0;
+  while ((attempt === 0 || Date.now() < deadline) && !abortRequested) {
+    attempt++;
+    await addLog('info', `Sniper: attempt ${attempt} for ${dateStr}…`);
+    const { wonRank, codes } = await bookDateFromCandidates(activeTabId, date, plan, candidates, featureIds);
+    if (wonRank >= 0) {
+      const won = describeSeatChoice(candidates[wonRank], wonRank);
+      await addLog('success', `Sniper: [${dateStr}] Booked "${won}" on attempt ${attempt}.`);
+      await recordHistory(date, 'map', 'booked', won);
+      if (codes[0] === 'taken') await registerSeatWatch(date, candidates[0], featureIds[candidates[0]], plan.locationId, true);
+      const dateKey = toLocalDateStr(date);
+      const verified = await reconcileBookings(activeTabId, [dateKey], { booked: 1, bookings: [{ date: dateStr, dateKey, desk: won }] }, new Set(), settings);
+      if (verified.booked > 0) {
+        await finishRun(verified);
+        return;
+      }
+      await updateRetryQueue([dateKey]);
+      await finishRun({ ...verified, error: `The booking for ${dateStr} didn't show up on the schedule page.` });
+      return;
+    }
+    if (codes.length === candidates.length && codes.every((c) => c === 'taken')) {
+      const error = `Every seat on the list was taken on ${dateStr}.`;
+      await addLog('error', `Sniper: ${error}`);
+      await recordHistory(date, 'map', 'failed', '', error);
+      await updateRetryQueue([toLocalDateStr(date)]); // someone may cancel later
+      await registerSeatWatch(date, candidates[0], featureIds[candidates[0]], plan.locationId, false);
+      await finishRun({ booked: 0, bookings: [], error });
+      return;
+    }
+    await sleep(SNIPER_RETRY_DELAY);
+  }
+
+  if (abortRequested) {
+    await finishRun({ booked: 0, bookings: [] });
+    return;
+  }
+  const error = `Could not book ${dateStr} within ${sniper.retrySeconds}s of release.`;
+  await addLog('error', `Sniper: ${error}`);
+  await recordHistory(date, 'map', 'failed', '', error);
+  await updateRetryQueue([toLocalDateStr(date)]);
+  await finishRun({ booked: 0, bookings: [], error });
+}
+
+/* ── Retry queue ─────────────────────────────────────────────────────── */
+
+const RETRY_BASE_DELAY = 15 * 60_000;     // first retry; doubles after each failed attempt
+const RETRY_MAX_DELAY  = 4 * 60 * 60_000;
+const RETRY_BUSY_DELAY = 5 * 60_000;      // another run holds the tab — try again shortly
+
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** attempts, RETRY_MAX_DELAY);
+}
+
+// Entries are { date: 'YYYY-MM-DD', attempts, nextAt }; a date drops out once it has passed
+async function getRetryQueue() {
+  const { retryQueue = [] } = await chrome.storage.local.get('retryQueue');
+  const today = toLocalDateStr(new Date());
+  return retryQueue.filter((e) => e.date >= today);
+}
+
+async function saveRetryQueue(queue) {
+  await chrome.storage.local.set({ retryQueue: queue });
+  if (queue.length === 0) {
+    await chrome.alarms.clear('retryQueue');
+    return;
+  }
+  await chrome.alarms.create('retryQueue', { when: Math.max(Math.min(...queue.map((e) => e.nextAt)), Date.now()) });
+}
+
+// Adds newly failed dates and drops the ones that have since been booked
+async function updateRetryQueue(failed, resolved = []) {
+  const nextAt = Date.now() + getRetryDelay(0);
+  const added = await updateStoredList(async () => {
+    const queue = (await getRetryQueue()).filter((e) => !resolved.includes(e.date));
+    const fresh = failed.filter((key) => !queue.some((e) => e.date === key));
+    await saveRetryQueue([...queue, ...fresh.map((date) => ({ date, attempts: 0, nextAt }))]);
+    return fresh;
+  });
+  if (added.length > 0) {
+    await addLog('info', `Queued ${added.length} failed date(s) for retry — first attempt at ${new Date(nextAt).toTimeString().slice(0, 5)}.`);
+  }
+}
+
+// Retries don't count as a scheduled run (no lastRunAt) and only notify once a day finally books
+async function finishRetry({ booked, bookings, verification, results, error }) {
+  const status = abortRequested ? 'cancelled' : error ? 'error' : 'done';
+  const { total } = await getState();
+  await setState({ status, booked, bookings, verification, results, ...(status === 'done' ? { current: total } : {}) });
+  if (abortRequested) await addLog('warn', `Retry stopped — booked ${booked} desk(s) before stopping.`);
+  else await addLog(booked > 0 ? 'success' : 'info', `Retry done — booked ${booked} previously failed day(s).`);
+  if (activeTabId !== null) {
+    await closeTab(activeTabId);
+    activeTabId = null;
+  }
+  await clearCheckpoint();
+  if (booked > 0 && !abortRequested) showRetryNotification(bookings);
+}
+
+async function dropFromRetry(date, reason, resolved) {
+  await addLog('info', `[${formatDate(date)}] Dropped from the retry queue: ${reason}.`);
+  resolved.push(toLocalDateStr(date));
+}
+
+async function runRetryQueue() {
+  const now = Date.now();
+  const busy = activeTabId !== null;
+  const due = await updateStoredList(async () => {
+    const queue = await getRetryQueue();
+    const dueNow = queue.filter((e) => e.nextAt <= now);
+    if (dueNow.length === 0 || busy) {
+      // Also prunes passed dates and re-arms the alarm
+      await saveRetryQueue(queue.map((e) => (e.nextAt <= now ? { ...e, nextAt: now + RETRY_BUSY_DELAY } : e)));
+      return [];
+    }
+    // Book the next attempt before starting, so a worker restart mid-retry doesn't lose the entries
+    await saveRetryQueue(queue.map((e) => (e.nextAt <= now ? { ...e, attempts: e.attempts + 1, nextAt: now + getRetryDelay(e.attempts + 1) } : e)));
+    return dueNow;
+  });
+  if (due.length === 0) return;
+
+  const { selectedDays = [1, 2, 3, 4, 5], ...settings } =
+    await chrome.storage.local.get(['selectedDays', ...PLAN_SETTING_KEYS]);
+  const quota = await getQuotaSettings();
+  const horizonEnd = getHorizonEnd(await getHorizonDays());
+  const excluded = await getExcludedDates(new Date(), horizonEnd);
+  const resolved = []; // dates that no longer need booking
+
+  let remaining = [];
+  for (const { date: key } of due) {
+    const date = new Date(`${key}T00:00`);
+    const plan = getPlanForDay(date.getDay(), settings);
+    const reason = excluded[key] ? `excluded — ${excluded[key]}` : plan.mode === 'map' && !plan.locationId ? 'no map location chosen' : '';
+    if (!reason) remaining.push(date);
+    else await dropFromRetry(date, reason, resolved);
+  }
+  // Every due date was dropped — nothing to open Envoy for
+  if (remaining.length === 0) {
+    await updateRetryQueue([], resolved);
+    return;
+  }
+
+  abortRequested = false;
+  beginRun('retry');
+  await startCheckpoint({ kind: 'retry', runId: currentRun.runId });
+  // Each retry's outcome is appended to the existing run log rather than replacing it
+  await setState({ status: 'running', action: 'book', current: 0, total: 0, booked: 0, bookings: [], skipped: [], plan: [], verification: [], results: [] });
+  await addLog('info', `Retry queue: retrying ${remaining.map(formatDate).join(', ')}.`);
+
+  let result = { booked: 0, bookings: [], verification: [], results: [], allFailed: false, lastError: '' };
+  try {
+    const tabId = await openEnvoyTab(SCHEDULE_URL);
+    const scanKeys = remaining.map(toLocalDateStr);
+    if (quota.enabled) scanKeys.push(...getWeekDateKeys(remaining));
+    const bookedSet = new Set(await scanScheduleForBookedDates(tabId, [...new Set(scanKeys)]));
+    const weeks = quota.enabled ? buildQuotaWeeks(remaining, bookedSet, quota, selectedDays, horizonEnd) : new Map();
+
+    const unbooked = [];
+    for (const date of remaining) {
+      const week = weeks.get(weekKeyOf(date));
+      const reason = bookedSet.has(toLocalDateStr(date)) ? 'already booked' : week && week.booked >= quota.days ? 'weekly quota already met' : '';
+      if (!reason) unbooked.push(date);
+      else await dropFromRetry(date, reason, resolved);
+    }
+    remaining = unbooked;
+
+    if (remaining.length > 0 && !abortRequested) {
+      const flow = { tabId, settings, horizonEnd, excluded, preview: false };
+      const targetKeys = remaining.map(toLocalDateStr);
+      result = await runPlanGroups(flow, groupDatesByPlan(remaining, settings), targetKeys);
+      if (!abortRequested) result = { ...result, ...await reconcileBookings(tabId, targetKeys, result, new Set(), settings) };
+    }
+  } catch (err) {
+    await addLog('error', `Retry queue: ${err.message}`);
+    result = { ...result, allFailed: true, lastError: err.message };
+  }
+
+  const booked = result.bookings.map((b) => b.dateKey).filter(Boolean);
+  await updateRetryQueue([], [...resolved, ...booked]);
+  const next = (await getRetryQueue()).filter((e) => remaining.some((d) => toLocalDateStr(d) === e.date));
+  for (const entry of next) {
+    await addLog('info', `[${formatDate(new Date(`${entry.date}T00:00`))}] Still not booked — next retry at ${new Date(entry.nextAt).toTimeString().slice(0, 5)}.`);
+  }
+  await finishRetry({ ...result, error: result.allFailed ? result.lastError : undefined });
+}
+
+/* ── Seat watch ──────────────────────────────────────────────────────── */
+
+async function getSeatWatchSettings() {
+  const { seatWatch } = await chrome.storage.local.get('seatWatch');
+  return { ...DEFAULT_SEAT_WATCH, ...seatWatch };
+}
+
+// Entries are { date: 'YYYY-MM-DD', seat, featureId, locationId }; a date drops out once it has passed
+async function getSeatWatches() {
+  const { seatWatches = [] } = await chrome.storage.local.get('seatWatches');
+  const today = toLocalDateStr(new Date());
+  return seatWatches.filter((w) => w.date >= today);
+}
+
+async function scheduleSeatWatchAlarm() {
+  const [settings, watches] = await Promise.all([getSeatWatchSettings(), getSeatWatches()]);
+  if (!settings.enabled || watches.length === 0) {
+    await chrome.alarms.clear('seatWatch');
+    return;
+  }
+  const existing = await chrome.alarms.get('seatWatch');
+  if (existing?.periodInMinutes === settings.intervalMinutes) return; // keep the current cadence
+  await chrome.alarms.create('seatWatch', { delayInMinutes: settings.intervalMinutes, periodInMinutes: settings.intervalMinutes });
+}
+
+// Called when the first-choice seat came back taken; `held` means a fallback seat won the day
+async function registerSeatWatch(date, seat, featureId, locationId, held) {
+  const settings = await getSeatWatchSettings();
+  if (!settings.enabled || (held && !settings.swap)) return;
+  const key = toLocalDateStr(date);
+  const added = await updateStoredList(async () => {
+    const watches = await getSeatWatches();
+    if (watches.some((w) => w.date === key && w.seat === seat)) return false;
+    await chrome.storage.local.set({ seatWatches: [...watches, { date: key, seat, featureId, locationId }] });
+    return true;
+  });
+  if (!added) return;
+  await addLog('info', `[${formatDate(date)}] Watching "${seat}" — it will be booked if it frees up.`);
+}
+
+// Releases the desk held on the watched day so the watched seat can take its place
+async function releaseHeldDesk(tabId, watch) {
+  await chrome.tabs.update(tabId, { url: SCHEDULE_URL });
+  await waitForTabComplete(tabId, TAB_LOAD_TIMEOUT);
+  await sleep(SSO_SETTLE_DELAY);
+  const result = await callContent(tabId, 'START_CANCELLATION', { targetDates: [watch.date], lastDate: watch.date }, SCHEDULE_FLOW_TIMEOUT);
+  const released = result.ok ? result.cancellations[0] : null;
+  if (released) await recordHistory(watch.date, '', 'cancelled', released.desk, `Swapped for "${watch.seat}"`);
+  return Boolean(released);
+}
+
+// Returns 'waiting' to keep the watch, or 'done' once it is booked or can never succeed
+async function checkSeatWatch(tabId, watch, settings) {
+  const date = new Date(`${watch.date}T00:00`);
+  const dateStr = formatDate(date);
+  const plan = { mode: 'map', locationId: watch.locationId, seats: [watch.seat] };
+  const featureIds = { [watch.seat]: watch.featureId };
+
+  const check = await bookDateFromCandidates(tabId, date, plan, [watch.seat], featureIds, true);
+  if (check.wonRank < 0) {
+    if (!['unavailable', 'not_on_map'].includes(check.codes[0])) return 'waiting';
+    await addLog('error', `Seat watch: "${watch.seat}" can't be booked on ${dateStr} (${check.codes[0]}) — watch removed.`);
+    return 'done';
+  }
+
+  const held = (await scanScheduleForBookedDates(tabId, [watch.date])).includes(watch.date);
+  if (held && !settings.swap) {
+    await addLog('success', `Seat watch: "${watch.seat}" is free on ${dateStr}, but you already have a desk that day — watch removed.`);
+    return 'done';
+  }
+  if (held && !(await releaseHeldDesk(tabId, watch))) {
+    await addLog('error', `Seat watch: "${watch.seat}" is free on ${dateStr}, but your current desk could not be released — will try again.`);
+    return 'waiting';
+  }
+
+  const booking = await bookDateFromCandidates(tabId, date, plan, [watch.seat], featureIds);
+  if (booking.wonRank >= 0) {
+    await addLog('success', `Seat watch: [${dateStr}] Booked "${watch.seat}"${held ? ', replacing your previous desk' : ''}.`);
+    await recordHistory(date, 'map', 'booked', watch.seat, 'Seat watch');
+    showSeatWatchNotification(`"${watch.seat}" freed up — booked it for ${dateStr}.`);
+    return 'done';
+  }
+  if (held) {
+    // The old desk is already gone — the retry queue books whatever seat it can for the day
+    await addLog('error', `Seat watch: released your desk on ${dateStr} but "${watch.seat}" was taken again — the day is queued for retry.`);
+    await updateRetryQueue([watch.date]);
+    showSeatWatchNotification(`"${watch.seat}" was taken again before it could be booked — ${dateStr} is queued for retry.`);
+  }
+  return 'waiting';
+}
+
+async function runSeatWatch() {
+  const settings = await getSeatWatchSettings();
+  const watches = await getSeatWatches();
+  if (!settings.enabled || watches.length === 0 || activeTabId !== null) return; // a busy tab waits for the next tick
+
+  abortRequested = false;
+  beginRun('watch');
+  await startCheckpoint({ kind: 'watch', runId: currentRun.runId });
+  quietLog = true;
+  const finished = [];
+  try {
+    const first = watches[0];
+    const tabId = await openEnvoyTab(buildMapUrl(first.locationId, new Date(`${first.date}T00:00`)));
+    for (const watch of watches) {
+      if (abortRequested) break;
+      if ((await checkSeatWatch(tabId, watch, settings)) === 'done') finished.push(watch);
+    }
+  } catch (err) {
+    await addLog('error', `Seat watch: ${err.message}`);
+  } finally {
+    quietLog = false;
+    if (activeTabId !== null) {
+      await closeTab(activeTabId);
+      activeTabId = null;
+    }
+    await clearCheckpoint();
+  }
+
+  // Re-read: the Settings page may have removed watches while the check ran
+  await updateStoredList(async () => {
+    const latest = await getSeatWatches();
+    await chrome.storage.local.set({
+      seatWatches: latest.filter((w) => !finished.some((f) => f.date === w.date && f.seat === w.seat)),
+    });
+  });
+}
+
+/* ── Map location discovery ──────────────────────────────────────────── */
+
+async function requestDiscovery(tabId, { type, ...payload }) {
+  const result = await callContent(tabId, type, payload, DISCOVERY_STEP_TIMEOUT);
+  if (!result.ok) throw new Error(result.error);
+  return result.data;
+}
+
+async function openMapPage(tabId) {
+  await chrome.tabs.update(tabId, { url: MAP_BASE_URL });
+  await waitForTabComplete(tabId, TAB_LOAD_TIMEOUT);
+  await sleep(SSO_SETTLE_DELAY);
+}
+
+async function discoverMapLocations() {
+  if (activeTabId !== null) {
+    throw new Error('A booking run is in progress — try again when it has finished.');
+  }
+
+  abortRequested = false; // a Stop pressed while nothing ran would otherwise skip the sign-in wait
+  const tab = await chrome.tabs.create({ url: MAP_BASE_URL, active: false });
+  activeTabId = tab.id;
+  try {
+    await waitForTabComplete(tab.id, TAB_LOAD_TIMEOUT);
+    const loaded = await chrome.tabs.get(tab.id);
+    if (!isSignedIn(loaded.url)) {
+      await attemptAutoLogin(tab.id);
+      await openMapPage(tab.id);
+    } else {
+      await sleep(SSO_SETTLE_DELAY);
+    }
+
+    const { current, locations } = await requestDiscovery(tab.id, { type: 'LIST_LOCATIONS' });
+    const results = [];
+
+    if (locations.length <= 1) {
+      // No switcher (or a single location) — only the current location's floors are reachable
+      const floors = await requestDiscovery(tab.id, { type: 'LIST_FLOORS' });
+      results.push(...floors.map((f) => ({ ...f, location: current || locations[0] || '' })));
+      return results;
+    }
+
+    for (const locationName of locations) {
+      await requestDiscovery(tab.id, { type: 'SWITCH_LOCATION', name: locationName });
+      await openMapPage(tab.id);
+      const floors = await requestDiscovery(tab.id, { type: 'LIST_FLOORS' });
+      results.push(...floors.map((f) => ({ ...f, location: locationName })));
+    }
+
+    // Leave the dashboard on the location the user had selected
+    if (current) {
+      await requestDiscovery(tab.id, { type: 'SWITCH_LOCATION', name: current }).catch(() => {});
+    }
+    return results;
+  } finally {
     await closeTab(tab.id);
     activeTabId = null;
   }
-  // The rest is driven by messages from the content script (see onMessage below)
 }
 
 /* ── Message listener ────────────────────────────────────────────────── */
@@ -487,84 +2076,79 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       case 'START_BOOKING': {
         // Triggered by the popup
         sendResponse({ received: true });
-        await runBooking(message.selectedDays || [1, 2, 3, 4, 5]);
+        await runBooking(message.selectedDays || [1, 2, 3, 4, 5], { preview: message.preview });
+        await runMissedSlot(); // a scheduled slot that fired meanwhile
         break;
       }
 
-      case 'LOG': {
-        // Content script sending a plain log entry
-        await addLog(message.level || 'info', message.msg);
-        sendResponse({ ok: true });
+      case 'START_CANCELLATION': {
+        // Triggered by the popup
+        sendResponse({ received: true });
+        await runCancellation(message.from, message.to, message.selectedDays || [1, 2, 3, 4, 5]);
+        await runMissedSlot(); // a scheduled slot that fired meanwhile
         break;
       }
 
-      case 'BOOKING_PROGRESS': {
-        await setState({ status: 'running', current: message.current, total: message.total });
-        await addLog('info', `Scheduled ${message.current} / ${message.total}…`);
+      case 'STOP_RUN': {
+        // Triggered by the popup's Stop button
         sendResponse({ ok: true });
+        await abortRun();
         break;
       }
 
-      case 'BOOKING_DONE': {
-        await setState({ status: 'done', current: message.total, total: message.total, bookings: message.bookings || [] });
-        await addLog('success', `Done! Successfully scheduled ${message.total} desk(s).`);
-        if (activeTabId !== null) {
-          await closeTab(activeTabId);
-          activeTabId = null;
-        }
-        await chrome.storage.local.set({ lastRunDate: getTodayString() });
-        showBookingNotification('done', message.total);
+      case 'LOG': {
+        // Content script sending a plain log entry
+        await addLog(message.level || 'info', message.msg);
         sendResponse({ ok: true });
         break;
       }
 
-      case 'BOOKING_NONE': {
-        await setState({ status: 'done', current: 0, total: 0 });
-        await addLog('warn', message.message || 'No Schedule buttons were found on the page.');
-        if (activeTabId !== null) {
-          await closeTab(activeTabId);
-          activeTabId = null;
-        }
-        await chrome.storage.local.set({ lastRunDate: getTodayString() });
-        showBookingNotification('done', 0);
+      case 'BOOKING_PROGRESS': {
+        const prev = await getState();
+        const current = progressOffset + message.current;
+        await setState({ status: 'running', current, total: Math.max(prev.total, current) });
+        await addLog('info', `Scheduled ${message.current} desk(s) so far…`);
         sendResponse({ ok: true });
         break;
       }
 
-      case 'BOOKING_ERROR': {
-        await setState({ status: 'error' });
-        await addLog('error', message.message || 'An unexpected error occurred.');
-        if (activeTabId !== null) {
-          await closeTab(activeTabId);
-          activeTabId = null;
-        }
-        await chrome.storage.local.set({ lastRunDate: getTodayString() });
-        showBookingNotification('error', 0, message.message || 'An unexpected error occurred.');
+      case 'CANCEL_PROGRESS': {
+        await setState({ current: Math.min(message.current, (await getState()).total) });
+        if (message.date) await checkpointDates([message.date], [{ date: message.date, desk: message.desk }]);
         sendResponse({ ok: true });
         break;
       }
 
-      case 'SEAT_RESULT': {
-        // Content script reporting outcome of RESOLVE_SEAT or BOOK_SEAT
-        if (seatResultResolver) {
-          seatResultResolver(message);
-          seatResultResolver = null;
+      case 'RPC_RESULT': {
+        // Content script answering a callContent() request
+        const settled = settleCall(message.requestId, message.result);
+        // Nobody waiting means the worker restarted mid-flow — keep the bookings for the resumed run's summary
+        if (!settled && message.call === 'START_BOOKING' && message.result?.ok) {
+          const { bookings = [] } = message.result;
+          await checkpointDates(bookings.map((b) => b.dateKey).filter(Boolean), bookings, 'auto');
         }
         sendResponse({ ok: true });
         break;
       }
 
-      case 'SCHEDULE_SCAN_RESULT': {
-        if (scanResultResolver) {
-          scanResultResolver(message.bookedDates || []);
-          scanResultResolver = null;
+      case 'DISCOVER_LOCATIONS': {
+        // Triggered by the options page
+        try {
+          const locations = await discoverMapLocations();
+          await chrome.storage.local.set({ mapLocations: locations });
+          sendResponse({ ok: true, locations });
+        } catch (err) {
+          sendResponse({ ok: false, error: err.message });
         }
-        sendResponse({ ok: true });
+        await runMissedSlot();
         break;
       }
 
       case 'CACHE_FEATURE_ID': {
-        await chrome.storage.local.set({ seatFeatureId: message.featureId });
+        const stored = await chrome.storage.local.get(PLAN_SETTING_KEYS);
+        const locationId = message.locationId || stored.mapLocationId;
+        const featureIds = { ...readFeatureIdCache(stored, locationId), [message.seatName]: message.featureId };
+        await cacheFeatureIds(locationId, featureIds);
         sendResponse({ ok: true });
         break;
       }
@@ -582,23 +2166,71 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 /* ── Lifecycle listeners ─────────────────────────────────────────────── */
 
-chrome.runtime.onInstalled.addListener(() => scheduleNextAlarm());
+// Calls waiting on a closed tab would otherwise sit out their full timeout
+chrome.tabs.onRemoved.addListener((tabId) => {
+  cancelCalls((call) => call.tabId === tabId, 'unreachable', 'The Envoy tab was closed');
+});
 
-chrome.runtime.onStartup.addListener(async () => {
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (notificationId !== 'loginHandoff' || handoffTabId === null) return;
+  const tab = await chrome.tabs.get(handoffTabId).catch(() => null);
+  if (tab) await surfaceTab(tab);
+});
+
+// Map mode used to book at LEGACY_MAP_LOC_ID when no location was saved; keep those users (and
+// their cached seat IDs, which are keyed to the saved location) booking where they did
+async function migrateSettings() {
+  const { bookingMode, mapLocationId } = await chrome.storage.local.get(['bookingMode', 'mapLocationId']);
+  if (bookingMode === 'map' && !mapLocationId) await chrome.storage.local.set({ mapLocationId: LEGACY_MAP_LOC_ID });
+}
+
+chrome.runtime.onInstalled.addListener(({ reason }) => {
+  if (reason === 'update') migrateSettings();
   scheduleNextAlarm();
-  const now = new Date();
-  if (now.getHours() >= 11) {
-    const { lastRunDate, selectedDays } = await chrome.storage.local.get(['lastRunDate', 'selectedDays']);
-    if (lastRunDate !== getTodayString()) {
-      await runBooking(selectedDays || [1, 2, 3, 4, 5]);
-    }
-  }
+  scheduleSniperAlarm();
+  updateStoredList(async () => saveRetryQueue(await getRetryQueue()));
+  scheduleSeatWatchAlarm();
+});
+
+chrome.runtime.onStartup.addListener(async () => {
+  await scheduleNextAlarm();
+  await scheduleSniperAlarm();
+  await updateStoredList(async () => saveRetryQueue(await getRetryQueue())); // drops dates that passed while Chrome was closed
+  await scheduleSeatWatchAlarm();
+  await runMissedSlot('startup');
 });
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
-  if (alarm.name !== 'dailyBooking') return;
-  const { lastRunDate, selectedDays } = await chrome.storage.local.get(['lastRunDate', 'selectedDays']);
-  if (lastRunDate !== getTodayString()) {
-    await runBooking(selectedDays || [1, 2, 3, 4, 5]);
+  if (alarm.name === 'retryQueue') {
+    await runRetryQueue();
+    await runMissedSlot();
+    return;
   }
+  if (alarm.name === 'seatWatch') {
+    await runSeatWatch();
+    await runMissedSlot();
+    return;
+  }
+  if (alarm.name === 'sniperPrep') {
+    const { nextSnipe } = await chrome.storage.local.get('nextSnipe');
+    await scheduleSniperAlarm();
+    if (nextSnipe) await runSniper(new Date(nextSnipe.releaseAt));
+    await runMissedSlot();
+    return;
+  }
+  if (alarm.name !== 'dailyBooking') return;
+  await scheduleNextAlarm();
+  const schedule = await getRunSchedule();
+  if (await isSlotCovered(schedule, new Date(alarm.scheduledTime))) return;
+  const { selectedDays } = await chrome.storage.local.get('selectedDays');
+  await runBooking(selectedDays || [1, 2, 3, 4, 5], { trigger: 'alarm' });
 });
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.runSchedule) scheduleNextAlarm();
+  if (area === 'local' && (changes.sniper || changes.bookingHorizon)) scheduleSniperAlarm();
+  if (area === 'local' && (changes.seatWatch || changes.seatWatches)) scheduleSeatWatchAlarm();
+});
+
+// Runs on every worker start; picks up a run the previous instance was stopped in the middle of
+resumeInterruptedRun();
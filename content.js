@@ -7,6 +7,7 @@
  *  2. Clicks each one sequentially
  *  3. Handles any confirmation modal
  *  4. Reports progress + detailed log back to background.js
+ *  5. Answers the request with the outcome (RPC_RESULT, matched by requestId)
  */
 
 const DELAY_BETWEEN_CLICKS  = 1000;   // ms between each desk click
@@ -19,6 +20,8 @@ const MODAL_POLL_INTERVAL   = 100;
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
+let stopRequested = false; // set by STOP from the background; loops check it between clicks
+
 async function log(level, msg) {
   try {
     await chrome.runtime.sendMessage({ type: 'LOG', level, msg });
@@ -35,15 +38,41 @@ async function waitFor(predicate, timeout, interval) {
   return null;
 }
 
+function findFirst(selectors) {
+  for (const sel of selectors) {
+    const el = document.querySelector(sel);
+    if (el) return el;
+  }
+  return null;
+}
+
+/* ── Selector profile ────────────────────────────────────────────────── */
+
+let profile  = DEFAULT_SELECTOR_PROFILE.selectors; // entries of the active profile (see selectors.js)
+let pageLang = 'en';                               // language of Envoy's UI (see locales.js)
+
+// Re-read before every command, so a profile imported in Settings applies without reloading Envoy.
+// The page language's locale pack sits between the built-in entries and the imported ones.
+async function loadSelectorProfile(announce) {
+  const { selectorProfile } = await chrome.storage.local.get('selectorProfile');
+  pageLang = getPageLanguage();
+  const active = resolveSelectorProfile(selectorProfile, localizeSelectors(DEFAULT_SELECTOR_PROFILE.selectors, pageLang));
+  profile = active.selectors;
+  if (!announce) return;
+  const pack = LOCALE_PACKS[pageLang];
+  const language = pack ? `${pack.name} labels`
+    : pageLang === 'en' ? 'English labels'
+    : `no label pack for "${pageLang}", using English labels`;
+  await log('info', `Selector profile: ${describeSelectorProfile(active)} (${language}).`);
+}
+
 /* ── Button detection ────────────────────────────────────────────────── */
 
 // Matches button text against known Envoy scheduling CTA labels.
-const BUTTON_LABELS = ['schedule', 'schedule desk', 'book desk', 'book', 'reserve'];
-
 function isScheduleButton(btn) {
   if (btn.disabled) return false;
   const text = btn.textContent.trim().toLowerCase();
-  return BUTTON_LABELS.some((label) => text === label);
+  return profile.buttonLabels.some((label) => text === label.toLowerCase());
 }
 
 function findScheduleButtons() {
@@ -64,16 +93,8 @@ async function waitForScheduleButtons() {
 
 /* ── Modal handling ──────────────────────────────────────────────────── */
 
-const CONFIRM_KEYWORDS = ['confirm', 'book', 'schedule', 'reserve', 'yes', 'submit', 'ok'];
-
-async function handleConfirmationModal() {
-  const modal = await waitFor(() => (
-    document.querySelector('[role="dialog"]') ||
-    document.querySelector('[aria-modal="true"]') ||
-    document.querySelector('.modal') ||
-    document.querySelector('[class*="modal"]') ||
-    document.querySelector('[class*="dialog"]')
-  ), MODAL_WAIT_TIMEOUT, MODAL_POLL_INTERVAL);
+async function handleConfirmationModal(keywords = profile.confirmKeywords) {
+  const modal = await waitFor(() => findFirst(profile.modalSelectors), MODAL_WAIT_TIMEOUT, MODAL_POLL_INTERVAL);
 
   if (!modal) {
     await log('info', 'No confirmation modal detected — continuing.');
@@ -88,7 +109,7 @@ async function handleConfirmationModal() {
 
   const confirmBtn = buttons.find((btn) => {
     const text = btn.textContent.trim().toLowerCase();
-    return CONFIRM_KEYWORDS.some((kw) => text.includes(kw));
+    return keywords.some((kw) => text.includes(kw.toLowerCase()));
   });
 
   const toClick = confirmBtn || (buttons.length === 1 ? buttons[0] : null);
@@ -107,59 +128,46 @@ async function handleConfirmationModal() {
 /* ── Day-of-week helpers ─────────────────────────────────────────────── */
 
 function getButtonContainer(btn) {
-  return btn.closest('[data-test-day-card]')
-    || btn.closest('[class*="item"],[class*="card"],[class*="day"],li,tr,[class*="slot"]')
+  return btn.closest(profile.dayCardSelector)
+    || btn.closest(profile.dayContainerSelector)
     || btn.parentElement?.parentElement
     || null;
 }
 
 function getButtonDayOfWeek(btn) {
-  const container = getButtonContainer(btn);
-  if (!container) return null;
-  const text = container.textContent;
+  const date = getButtonDate(btn);
+  if (date) return new Date(`${date}T00:00`).getDay();
 
-  const dayAbbr = text.match(/\b(Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*/i);
-  if (dayAbbr) {
-    const dayMap = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
-    return dayMap[dayAbbr[0].slice(0, 3).toLowerCase()] ?? null;
-  }
-
-  const dateStr = text.match(/\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{1,2}\b/i)
-    || text.match(/\d{1,2}[\/\-]\d{1,2}/);
-  if (dateStr) {
-    const d = new Date(dateStr[0]);
-    return isNaN(d) ? null : d.getDay();
-  }
-  return null;
+  // No date at all — a weekday name on the card is the last resort
+  const weekday = findWeekdayName(getButtonContainer(btn)?.textContent || '', pageLang);
+  if (weekday !== null) noteTextFallback('weekday', `A day card has no readable date — going by the weekday named on it (${DAY_NAMES[weekday]}).`);
+  return weekday;
 }
 
 function getButtonDateLabel(btn) {
   const container = getButtonContainer(btn);
   const text = container?.textContent.replace(/\s+/g, ' ').trim() || '';
-  return text.replace(/schedule desk|book desk|schedule|book|reserve/gi, '').trim().slice(0, 40);
+  // Longest labels first, so "schedule desk" goes before "schedule" can leave "desk" behind
+  const labels = [...profile.buttonLabels].sort((a, b) => b.length - a.length)
+    .map((label) => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return text.replace(new RegExp(labels.join('|'), 'gi'), '').trim().slice(0, 40);
 }
 
-async function captureAssignedDesk(container) {
-  await sleep(600);
+function readDeskName(container) {
   const text = container?.textContent || '';
   const m = text.match(/(?:desk|table|seat|spot|space)\s*[\w\d#\-]+/i);
-  return m ? m[0].trim() : 'Booked';
+  return m ? m[0].trim() : '';
 }
 
-/* ── Week navigation ─────────────────────────────────────────────────── */
+async function captureAssignedDesk(container) {
+  await sleep(600);
+  return readDeskName(container) || 'Booked';
+}
 
-const NEXT_WEEK_SELECTORS = [
-  'button[aria-label="Next week"]',
-  'button[aria-label="next week"]',
-  'button[aria-label="Next"]',
-  '[data-test="next-week"]',
-  '[data-test*="next"]',
-  'button[title="Next week"]',
-  'button[title="Next"]',
-];
+/* ── Week navigation ─────────────────────────────────────────────────── */
 
 function findNextWeekButton() {
-  for (const sel of NEXT_WEEK_SELECTORS) {
+  for (const sel of profile.nextWeekSelectors) {
     const el = document.querySelector(sel);
     if (el && !el.disabled) return el;
   }
@@ -169,77 +177,125 @@ function findNextWeekButton() {
   return iconOnly.length >= 1 ? iconOnly[iconOnly.length - 1] : null;
 }
 
-/* ── Schedule page scanner ───────────────────────────────────────────── */
+/* ── Dates ───────────────────────────────────────────────────────────── */
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+let weekAnchor = null;           // { date, source } inside the week page being read (see dates.js)
+const textFallbacks = new Set(); // fallbacks already logged for this week page
 
-function toLocalDateStr(date) {
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, '0');
-  const d = String(date.getDate()).padStart(2, '0');
-  return `${y}-${m}-${d}`;
+// Called once each week page has rendered; `weeksPaged` is 0 on the page a run starts from
+function readWeekPage(weeksPaged) {
+  weekAnchor = readWeekAnchor(profile.dayCardSelector, weeksPaged);
+  textFallbacks.clear();
 }
 
-function parseScheduleDateStr(text) {
-  const thisYear = new Date().getFullYear();
-  const m = text.match(/\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+(\d{1,2})\b/i);
-  if (m) {
-    const d = new Date(`${m[0]} ${thisYear}`);
-    if (!isNaN(d)) return toLocalDateStr(d);
-  }
-  const iso = text.match(/\d{4}-\d{2}-\d{2}/);
-  if (iso) return iso[0];
-  return null;
+function noteTextFallback(kind, msg) {
+  if (textFallbacks.has(kind)) return;
+  textFallbacks.add(kind);
+  log('info', msg);
 }
 
-function findDateInAncestors(el, maxDepth = 8) {
-  let node = el;
-  for (let i = 0; i < maxDepth && node; i++) {
-    const dateStr = parseScheduleDateStr(node.textContent || '');
-    if (dateStr) return dateStr;
-    node = node.parentElement;
+// Date the element's day card stands for, or null. `maxDepth` bounds how far up it looks.
+function dateOf(el, maxDepth = 8) {
+  if (!weekAnchor) readWeekPage(0);
+  const found = resolveDate(el, { lang: pageLang, anchor: weekAnchor.date, cardSelector: profile.dayCardSelector, maxDepth });
+  if (found?.source === 'text') {
+    noteTextFallback('date', `No machine-readable dates on this week page — reading them from the text, with years placed around ${weekAnchor.date} (from ${weekAnchor.source}).`);
   }
-  return null;
+  return found?.date || null;
+}
+
+function getButtonDate(btn) {
+  const container = getButtonContainer(btn);
+  return container ? dateOf(container, 1) : null;
+}
+
+/* ── Booking horizon ─────────────────────────────────────────────────── */
+
+// Latest date shown in the current week view, or null when no day has a readable date
+function getLastVisibleDate() {
+  const cards = Array.from(document.querySelectorAll(profile.dayCardSelector));
+  const sources = cards.length > 0 ? cards : findScheduleButtons().map(getButtonContainer).filter(Boolean);
+  const dates = sources.map((el) => dateOf(el, 1)).filter(Boolean).sort();
+  return dates.length > 0 ? dates[dates.length - 1] : null;
+}
+
+function isHorizonReached(horizonEnd) {
+  const last = getLastVisibleDate();
+  return Boolean(horizonEnd && last && last >= horizonEnd);
+}
+
+// Upper bound on week pages, in case visible dates can't be read
+function maxWeeksUntil(horizonEnd, fallback) {
+  if (!horizonEnd) return fallback;
+  const days = (new Date(`${horizonEnd}T00:00`) - new Date()) / 86_400_000;
+  return Math.max(1, Math.ceil(days / 7) + 1);
+}
+
+async function advanceWeek() {
+  const nextBtn = findNextWeekButton();
+  if (!nextBtn) return false;
+  nextBtn.click();
+  await sleep(500);
+  await waitFor(
+    () => (findScheduleButtons().length > 0 || document.querySelector(profile.dayCardSelector) ? true : null),
+    10_000, 300,
+  );
+  await sleep(800);
+  return true;
 }
 
-async function scanScheduleForBooked(targetDates) {
+// Elements whose sole visible text is a booked-status label
+function findBookedStatusElements() {
+  return Array.from(document.querySelectorAll('*')).filter((el) => {
+    if (el.children.length > 2) return false;
+    const text = (el.textContent || '').trim();
+    return profile.bookedLabels.includes(text);
+  });
+}
+
+// Booked target dates, each with the desk name shown on its day card ('' when none is shown)
+async function scanScheduleForBooked(targetDates, horizonEnd) {
   const targetSet = new Set(targetDates);
-  const bookedSet = new Set();
-  const MAX_SCAN_WEEKS = 5;
+  const booked = new Map();
+  const maxWeeks = maxWeeksUntil(horizonEnd, 5);
 
-  for (let week = 0; week < MAX_SCAN_WEEKS; week++) {
+  for (let week = 0; week < maxWeeks; week++) {
     await sleep(500);
+    readWeekPage(week);
 
-    // Elements whose sole visible text is a booked-status label
-    const scheduledEls = Array.from(document.querySelectorAll('*')).filter((el) => {
-      if (el.children.length > 2) return false;
-      const text = (el.textContent || '').trim();
-      return text === 'Scheduled' || text === 'Booked';
-    });
-
-    for (const el of scheduledEls) {
-      const dateStr = findDateInAncestors(el);
-      if (dateStr && targetSet.has(dateStr)) {
-        bookedSet.add(dateStr);
+    for (const el of findBookedStatusElements()) {
+      const dateStr = dateOf(el);
+      if (dateStr && targetSet.has(dateStr) && !booked.get(dateStr)) {
+        booked.set(dateStr, readDeskName(getButtonContainer(el)));
       }
     }
 
-    if (week < MAX_SCAN_WEEKS - 1) {
-      const nextBtn = findNextWeekButton();
-      if (!nextBtn) break;
-      nextBtn.click();
-      await sleep(500);
-      await waitFor(
-        () => (findScheduleButtons().length > 0 || document.querySelector('[data-test-day-card]') ? true : null),
-        8_000, 300,
-      );
-    }
+    if (isHorizonReached(horizonEnd)) break;
+    if (week < maxWeeks - 1 && !(await advanceWeek())) break;
   }
 
-  return [...bookedSet];
+  return booked;
 }
 
 /* ── Main booking routine ────────────────────────────────────────────── */
 
-async function runBulkBooking(selectedDays = [1, 2, 3, 4, 5]) {
+// Why a Schedule button should be left alone this run, or null to click it. `status` is the
+// per-date result reported for the day (excluded | skipped_day), or '' when it wasn't a target at all.
+function getSkip(btn, selectedDays, horizonEnd, excludedDates = {}, targetDates = null) {
+  const date = getButtonDate(btn);
+  // Weekly quota runs pick exact days, so an unreadable date can't be trusted either
+  if (targetDates && !targetDates.includes(date)) return { status: '', reason: `${date || 'unreadable date'} not picked for the weekly quota` };
+  if (horizonEnd && date && date > horizonEnd) return { status: '', reason: `${date} is beyond the booking horizon (${horizonEnd})` };
+  if (date && excludedDates[date]) return { status: 'excluded', reason: `excluded: ${date} (${excludedDates[date]})`, note: excludedDates[date] };
+  if (!selectedDays || selectedDays.length === 0) return null;
+  const day = getButtonDayOfWeek(btn);
+  if (day !== null && !selectedDays.includes(day)) return { status: 'skipped_day', reason: `day ${DAY_NAMES[day]} not in selected days`, note: 'Day not selected' };
+  return null;
+}
+
+async function runBulkBooking(selectedDays = [1, 2, 3, 4, 5], horizonEnd = null, excludedDates = {}, preview = false, targetDates = null) {
   await log('info', `Content script active on: ${location.href}`);
 
   // Verify we're on the right page
@@ -249,105 +305,226 @@ async function runBulkBooking(selectedDays = [1, 2, 3, 4, 5]) {
     await sleep(3000); // wait for navigation
   }
 
-  const MAX_WEEKS = 4;
+  stopRequested = false;
+  const maxWeeks = maxWeeksUntil(horizonEnd, 4);
   let totalBooked = 0;
   const allBookings = [];
+  const planned = []; // preview only: buttons that would have been clicked
+  const results = []; // [{ dateKey, status, seat, reason }] — booked and skipped days the page offered
 
-  for (let week = 0; week < MAX_WEEKS; week++) {
+  for (let week = 0; week < maxWeeks && !stopRequested; week++) {
     const buttons = await waitForScheduleButtons();
+    readWeekPage(week);
+
+    if (!buttons && week === 0) {
+      await log('warn', 'No Schedule buttons found after waiting. The page may require login or the desks may already be booked.');
+      return { ok: true, total: 0, bookings: [], planned: [], results: [] };
+    }
+
+    const weekLabel = horizonEnd ? `Week ${week + 1}` : `Week ${week + 1}/${maxWeeks}`;
+    const filtered = (buttons || []).filter((btn, i) => {
+      const skip = getSkip(btn, selectedDays, horizonEnd, excludedDates, targetDates);
+      if (!skip) return true;
+      log('info', `Skipping button ${i + 1} — ${skip.reason}`);
+      const dateKey = getButtonDate(btn);
+      if (skip.status && dateKey) results.push({ dateKey, status: skip.status, seat: '', reason: skip.note });
+      return false;
+    });
 
     if (!buttons) {
-      if (week === 0) {
-        await log('warn', 'No Schedule buttons found after waiting. The page may require login or the desks may already be booked.');
+      await log('info', `${weekLabel}: no buttons found (already booked?) — checking the next week.`);
+    } else {
+      await log('info', `${weekLabel}: ${buttons.length} button(s), ${filtered.length} to book.`);
+    }
+
+    if (preview) {
+      for (const btn of filtered) {
+        const dateKey = getButtonDate(btn);
+        planned.push({ dateKey, desk: 'Auto-assign' });
+        await log('info', `Preview: would click Schedule for ${dateKey || getButtonDateLabel(btn) || 'an unlabelled day'}.`);
+      }
+    }
+
+    for (let attempt = 0; !preview && !stopRequested && attempt < filtered.length; attempt++) {
+      // Re-query each iteration — React re-renders detach previous refs
+      const fresh = findScheduleButtons().filter((b) => !getSkip(b, selectedDays, horizonEnd, excludedDates, targetDates));
+
+      if (fresh.length === 0) {
+        await log('warn', 'No more Schedule buttons found — stopping early.');
+        break;
+      }
+
+      const btn = fresh[0];
+      const dateLabel = getButtonDateLabel(btn);
+      const dateKey = getButtonDate(btn);
+      const label = dateLabel ? ` ("${dateLabel}")` : '';
+
+      await log('info', `Week ${week + 1} — clicking ${attempt + 1}/${filtered.length}${label}`);
+
+      btn.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      await sleep(300);
+      btn.click();
+      totalBooked++;
+
+      try {
         await chrome.runtime.sendMessage({
-          type: 'BOOKING_NONE',
-          message: 'No Schedule buttons found. Ensure you\'re logged in and desks are available.',
+          type: 'BOOKING_PROGRESS',
+          current: totalBooked,
+          total: totalBooked,
         });
-        return;
+      } catch { /* background SW may have cycled */ }
+
+      await handleConfirmationModal();
+
+      const container = getButtonContainer(btn);
+      const desk = await captureAssignedDesk(container);
+      allBookings.push({ date: dateLabel || `Booking ${totalBooked}`, dateKey, desk });
+      if (dateKey) results.push({ dateKey, status: 'booked', seat: desk, reason: '' });
+
+      if (attempt < filtered.length - 1) {
+        await sleep(DELAY_BETWEEN_CLICKS);
       }
-      await log('info', `Week ${week + 1}: no buttons found — stopping.`);
+    }
+
+    if (stopRequested) {
+      await log('warn', `Stopped — ${totalBooked} desk(s) scheduled before stopping.`);
       break;
     }
 
-    await log('info', `Week ${week + 1}/${MAX_WEEKS}: ${buttons.length} button(s). Filtering for days [${selectedDays.join(',')}]`);
+    if (isHorizonReached(horizonEnd)) {
+      await log('info', `Reached the booking horizon (${horizonEnd}) — stopping paging.`);
+      break;
+    }
 
-    const filtered = buttons.filter((btn, i) => {
-      if (!selectedDays || selectedDays.length === 0) return true;
-      const day = getButtonDayOfWeek(btn);
-      if (day === null) return true;
-      if (!selectedDays.includes(day)) {
-        const DAY_NAMES = ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'];
-        log('info', `Skipping button ${i + 1} — day ${DAY_NAMES[day]} not in selected days`);
-        return false;
+    if (week < maxWeeks - 1) {
+      await log('info', `Advancing to week ${week + 2}…`);
+      if (!(await advanceWeek())) {
+        await log('info', 'No next-week button found — stopping paging.');
+        break;
       }
-      return true;
-    });
+    }
+  }
 
-    if (filtered.length > 0) {
-      for (let attempt = 0; attempt < filtered.length; attempt++) {
-        // Re-query each iteration — React re-renders detach previous refs
-        const fresh = findScheduleButtons().filter((b) => {
-          if (!selectedDays || selectedDays.length === 0) return true;
-          const day = getButtonDayOfWeek(b);
-          return day === null || selectedDays.includes(day);
-        });
+  if (!preview && !stopRequested) await log('success', `All done — ${totalBooked} desk(s) scheduled.`);
+  return { ok: true, total: totalBooked, bookings: allBookings, planned, results };
+}
 
-        if (fresh.length === 0) {
-          await log('warn', 'No more Schedule buttons found — stopping early.');
-          break;
-        }
+/* ── Bulk cancellation ───────────────────────────────────────────────── */
 
-        const btn = fresh[0];
-        const dateLabel = getButtonDateLabel(btn);
-        const label = dateLabel ? ` ("${dateLabel}")` : '';
+const CANCEL_VERIFY_TIMEOUT = 8_000;
 
-        await log('info', `Week ${week + 1} — clicking ${attempt + 1}/${filtered.length}${label}`);
+function isCancelControl(el) {
+  const text = el.textContent.trim().toLowerCase();
+  const aria = (el.getAttribute('aria-label') || '').toLowerCase();
+  const labels = profile.cancelLabels.map((label) => label.toLowerCase());
+  return !el.disabled && (labels.includes(text) || labels.includes(aria));
+}
 
-        btn.scrollIntoView({ behavior: 'smooth', block: 'center' });
-        await sleep(300);
-        btn.click();
-        totalBooked++;
+// Booked day cards on the current week page, keyed by date
+function findBookedDays(targetSet) {
+  const days = new Map();
+  for (const el of findBookedStatusElements()) {
+    const date = dateOf(el);
+    const container = getButtonContainer(el);
+    if (date && container && targetSet.has(date) && !days.has(date)) days.set(date, container);
+  }
+  return days;
+}
 
-        try {
-          await chrome.runtime.sendMessage({
-            type: 'BOOKING_PROGRESS',
-            current: totalBooked,
-            total: totalBooked,
-          });
-        } catch { /* background SW may have cycled */ }
+// Cancel button in the day card, or behind its overflow ("…") menu
+async function findCancelControl(container) {
+  const direct = Array.from(container.querySelectorAll('button, a, [role="button"]')).find(isCancelControl);
+  if (direct) return direct;
 
-        await handleConfirmationModal();
+  const menuBtn = container.querySelector(profile.overflowMenuSelector);
+  if (!menuBtn) return null;
+  menuBtn.click();
+  return waitFor(
+    () => Array.from(document.querySelectorAll(profile.menuItemSelector))
+      .find(isCancelControl) || null,
+    MODAL_WAIT_TIMEOUT, MODAL_POLL_INTERVAL,
+  );
+}
+
+async function cancelBookedDay(date, container) {
+  const desk = await captureAssignedDesk(container);
+  const control = await findCancelControl(container);
+  if (!control) {
+    document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true })); // close any open menu
+    return { ok: false, error: 'no cancel button found on the booked day' };
+  }
 
-        const container = getButtonContainer(btn);
-        const desk = await captureAssignedDesk(container);
-        allBookings.push({ date: dateLabel || `Booking ${totalBooked}`, desk });
+  control.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  await sleep(300);
+  control.click();
+  await handleConfirmationModal(profile.cancelConfirmKeywords);
+
+  // The booked label disappears once Envoy has released the desk
+  const released = await waitFor(
+    () => (findBookedDays(new Set([date])).has(date) ? null : true),
+    CANCEL_VERIFY_TIMEOUT, BUTTON_POLL_INTERVAL,
+  );
+  return released ? { ok: true, desk } : { ok: false, error: 'the booking was still shown after cancelling' };
+}
+
+async function runBulkCancellation(targetDates, lastDate) {
+  await log('info', `Content script active on: ${location.href}`);
+
+  if (!location.href.includes('/schedule')) {
+    await log('warn', `Not on /schedule — navigating…`);
+    location.href = 'https://dashboard.envoy.com/schedule';
+    await sleep(3000);
+  }
 
-        if (attempt < filtered.length - 1) {
-          await sleep(DELAY_BETWEEN_CLICKS);
-        }
+  stopRequested = false;
+  const targetSet = new Set(targetDates);
+  const maxWeeks = maxWeeksUntil(lastDate, 4);
+  const attempted = new Set();
+  const cancellations = [];
+  let failed = 0;
+
+  for (let week = 0; week < maxWeeks && !stopRequested; week++) {
+    await waitFor(
+      () => (findScheduleButtons().length > 0 || document.querySelector(profile.dayCardSelector) || findBookedStatusElements().length > 0 ? true : null),
+      BUTTON_WAIT_TIMEOUT, BUTTON_POLL_INTERVAL,
+    );
+    await sleep(500);
+    readWeekPage(week);
+
+    const pending = [...findBookedDays(targetSet).keys()].filter((d) => !attempted.has(d));
+    await log('info', `Week ${week + 1}: ${pending.length} booking(s) to cancel.`);
+
+    for (const date of pending) {
+      if (stopRequested) break;
+      attempted.add(date);
+      // Re-query each time — React re-renders detach previous refs
+      const container = findBookedDays(new Set([date])).get(date);
+      if (!container) continue;
+
+      await log('info', `[${date}] Cancelling…`);
+      const result = await cancelBookedDay(date, container);
+      if (result.ok) {
+        cancellations.push({ date, desk: result.desk });
+        await log('success', `[${date}] Cancelled "${result.desk}".`);
+        try {
+          await chrome.runtime.sendMessage({ type: 'CANCEL_PROGRESS', current: cancellations.length, date, desk: result.desk });
+        } catch { /* background SW may have cycled */ }
+      } else {
+        failed++;
+        await log('error', `[${date}] Could not cancel — ${result.error}.`);
       }
-    } else {
-      await log('info', `Week ${week + 1}: no buttons match selected days — advancing anyway.`);
+      await sleep(DELAY_BETWEEN_CLICKS);
     }
 
-    if (week < MAX_WEEKS - 1) {
-      const nextBtn = findNextWeekButton();
-      if (!nextBtn) {
-        await log('info', 'No next-week button found — stopping paging.');
-        break;
-      }
-      await log('info', `Advancing to week ${week + 2}…`);
-      nextBtn.click();
-      await sleep(500);
-      await waitFor(() => findScheduleButtons().length > 0 ? true : null, 10_000, 300);
-      await sleep(800);
+    if (stopRequested || isHorizonReached(lastDate)) break;
+    if (week < maxWeeks - 1 && !(await advanceWeek())) {
+      await log('info', 'No next-week button found — stopping paging.');
+      break;
     }
   }
 
-  await log('success', `All done — ${totalBooked} desk(s) scheduled.`);
-  try {
-    await chrome.runtime.sendMessage({ type: 'BOOKING_DONE', total: totalBooked, bookings: allBookings });
-  } catch { /* background SW may have cycled */ }
+  await log('success', `All done — ${cancellations.length} booking(s) cancelled${failed ? `, ${failed} failed` : ''}.`);
+  return { ok: true, cancellations, failed };
 }
 
 /* ── Map booking — feature ID resolution ─────────────────────────────── */
@@ -360,13 +537,7 @@ async function resolveFeatureId(seatName) {
   await log('info', `Resolving feature ID for "${seatName}" via map search…`);
 
   // Find the search input — Ember renders it as role="searchbox" or a plain input
-  const searchEl = await waitFor(
-    () =>
-      document.querySelector('[role="searchbox"]') ||
-      document.querySelector('input[type="search"]') ||
-      document.querySelector('input[placeholder*="Search" i]'),
-    15_000, 300
-  );
+  const searchEl = await waitFor(() => findFirst(profile.mapSearchSelectors), 15_000, 300);
 
   if (!searchEl) throw new Error('Map search box not found');
   const input = searchEl.tagName === 'INPUT' ? searchEl : searchEl.querySelector('input');
@@ -388,7 +559,7 @@ async function resolveFeatureId(seatName) {
   await log('info', `Typed "${seatName}" — waiting for search results…`);
 
   const resultBtn = await waitFor(() => {
-    const btns = document.querySelectorAll('[data-test-search-result-resource]');
+    const btns = document.querySelectorAll(profile.searchResultSelector);
     for (const btn of btns) {
       if (btn.textContent.includes(seatName)) return btn;
     }
@@ -416,19 +587,19 @@ async function resolveFeatureId(seatName) {
 
 /* ── Map booking — single-day seat booking ───────────────────────────── */
 
-async function bookSeatOnCurrentPage(featureId, seatName, dateStr) {
+async function bookSeatOnCurrentPage(featureId, seatName, dateStr, preview = false) {
   const markersReady = await waitFor(
-    () => (document.querySelectorAll('[data-test-feature-type="desk"]').length > 0 ? true : null),
+    () => (document.querySelectorAll(profile.deskMarkerSelector).length > 0 ? true : null),
     MAP_MARKER_WAIT, 300
   );
 
   if (!markersReady) {
-    return { ok: false, error: `Desk markers never appeared on map for ${dateStr}` };
+    return { ok: false, code: 'no_markers', error: `Desk markers never appeared on map for ${dateStr}` };
   }
 
-  const marker = document.querySelector(`[data-test-feature-id="${featureId}"]`);
+  const marker = document.querySelector(`[${profile.featureIdAttribute}="${featureId}"]`);
   if (!marker) {
-    return { ok: false, error: `Seat ${seatName} (id=${featureId}) not found on map` };
+    return { ok: false, code: 'not_on_map', error: `Seat ${seatName} (id=${featureId}) not found on map` };
   }
 
   marker.scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -436,81 +607,204 @@ async function bookSeatOnCurrentPage(featureId, seatName, dateStr) {
   marker.click();
 
   const popup = await waitFor(
-    () => document.querySelector('.leaflet-popup-content') || null,
+    () => document.querySelector(profile.seatPopupSelector) || null,
     MAP_POPUP_WAIT, 200
   );
 
   if (!popup) {
-    return { ok: false, error: `No popup appeared after clicking ${seatName}` };
+    return { ok: false, code: 'no_popup', error: `No popup appeared after clicking ${seatName}` };
   }
 
   const text = popup.innerText || popup.textContent || '';
 
-  if (text.includes('Unavailable to book')) {
-    return { ok: false, error: `${seatName} is not in your neighbourhood` };
+  if (text.includes(profile.popupUnavailableText)) {
+    return { ok: false, code: 'unavailable', error: `${seatName} is not in your neighbourhood` };
   }
-  if (text.includes('Scheduled')) {
-    return { ok: false, error: `${seatName} is already booked on ${dateStr}` };
+  if (text.includes(profile.popupTakenText)) {
+    return { ok: false, code: 'taken', error: `${seatName} is already booked on ${dateStr}` };
   }
-  if (!text.includes('Available')) {
-    return { ok: false, error: `${seatName} shows unexpected popup state: ${text.slice(0, 80).replace(/\n/g, ' ')}` };
+  if (!text.includes(profile.popupAvailableText)) {
+    return { ok: false, code: 'unexpected', error: `${seatName} shows unexpected popup state: ${text.slice(0, 80).replace(/\n/g, ' ')}` };
   }
 
-  const bookBtn = popup.querySelector('[data-test-book-desk-button]')
-    || document.querySelector('[data-test-book-desk-button]');
+  const bookBtn = popup.querySelector(profile.bookDeskButtonSelector)
+    || document.querySelector(profile.bookDeskButtonSelector);
   if (!bookBtn) {
-    return { ok: false, error: `"Book Desk" button not found in popup` };
+    return { ok: false, code: 'no_button', error: `"Book Desk" button not found in popup` };
   }
 
+  if (preview) return { ok: true, preview: true }; // seat is free — stop short of booking it
+  if (stopRequested) return { ok: false, code: 'aborted', error: 'Stopped by user' };
+
   bookBtn.click();
   await sleep(MAP_VERIFY_DELAY);
 
-  const popupAfter = document.querySelector('.leaflet-popup-content');
+  const popupAfter = document.querySelector(profile.seatPopupSelector);
   if (!popupAfter) return { ok: true };
 
   const textAfter = popupAfter.innerText || popupAfter.textContent || '';
-  if (textAfter.includes('Scheduled')) return { ok: true };
-  if (textAfter.includes('Available')) {
-    return { ok: false, error: `Booking failed — popup still shows Available after clicking Book Desk` };
+  if (textAfter.includes(profile.popupTakenText)) return { ok: true };
+  if (textAfter.includes(profile.popupAvailableText)) {
+    return { ok: false, code: 'not_confirmed', error: `Booking failed — popup still shows Available after clicking Book Desk` };
   }
 
   return { ok: true };
 }
 
+/* ── Map location / floor discovery ──────────────────────────────────── */
+
+const MAP_ID_PATTERN = /\/spaces\/maps\/live\/(\d+)/;
+
+function cleanText(el) {
+  return (el?.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+function getCurrentMapId() {
+  const m = location.href.match(MAP_ID_PATTERN);
+  return m ? m[1] : null;
+}
+
+function closeMenu() {
+  document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+}
+
+async function openMenu(triggerSelectors) {
+  const trigger = findFirst(triggerSelectors);
+  if (!trigger) return null;
+  trigger.click();
+  const options = await waitFor(() => {
+    const opts = Array.from(document.querySelectorAll(profile.menuOptionSelectors.join(','))).filter((o) => cleanText(o));
+    return opts.length > 0 ? opts : null;
+  }, 3_000, 150);
+  return { trigger, options: options || [] };
+}
+
+async function listLocations() {
+  const menu = await openMenu(profile.locationSwitcherSelectors);
+  if (!menu) {
+    await log('info', 'Discovery: no location switcher found — using the current location only.');
+    return { current: '', locations: [] };
+  }
+  const current = cleanText(menu.trigger);
+  const locations = [...new Set(menu.options.map(cleanText))];
+  closeMenu();
+  await log('info', `Discovery: ${locations.length} location(s) found: [${locations.join(', ')}]`);
+  return { current, locations };
+}
+
+async function switchLocation(name) {
+  const menu = await openMenu(profile.locationSwitcherSelectors);
+  if (!menu) throw new Error('Location switcher not found');
+  const option = menu.options.find((o) => cleanText(o) === name);
+  if (!option) {
+    closeMenu();
+    throw new Error(`Location "${name}" not found in switcher`);
+  }
+  option.click();
+  await sleep(1_500); // let the dashboard swap location context
+  return { ok: true };
+}
+
+async function listFloors() {
+  const mapId = await waitFor(getCurrentMapId, 15_000, 300);
+  if (!mapId) throw new Error('Map page did not load a floor — does this location have a map?');
+
+  const floors = new Map();
+  const currentName = cleanText(findFirst(profile.floorPickerSelectors));
+  floors.set(mapId, currentName || `Map ${mapId}`);
+
+  // Direct links to other floors, if the page renders any
+  for (const a of document.querySelectorAll('a[href*="/spaces/maps/live/"]')) {
+    const m = a.getAttribute('href').match(MAP_ID_PATTERN);
+    if (m && !floors.has(m[1])) floors.set(m[1], cleanText(a) || `Map ${m[1]}`);
+  }
+
+  // Walk the floor picker: select each option and read the ID back from the URL
+  const menu = await openMenu(profile.floorPickerSelectors);
+  if (menu) {
+    const names = [...new Set(menu.options.map(cleanText))];
+    closeMenu();
+    for (const name of names) {
+      if ([...floors.values()].includes(name)) continue;
+      const again = await openMenu(profile.floorPickerSelectors);
+      const option = again?.options.find((o) => cleanText(o) === name);
+      if (!option) { closeMenu(); continue; }
+      const before = getCurrentMapId();
+      option.click();
+      const id = await waitFor(() => {
+        const now = getCurrentMapId();
+        return now && now !== before ? now : null;
+      }, 5_000, 200);
+      if (id) floors.set(id, name);
+      else await log('warn', `Discovery: could not read map ID for floor "${name}".`);
+    }
+  }
+
+  await log('info', `Discovery: ${floors.size} floor(s) found.`);
+  return [...floors].map(([id, floor]) => ({ id, floor }));
+}
+
 /* ── Message listener ────────────────────────────────────────────────── */
 
+// Answers a background callContent() request; the echoed requestId settles only that call
+async function reply(message, result) {
+  try {
+    await chrome.runtime.sendMessage({ type: 'RPC_RESULT', requestId: message.requestId, call: message.type, result });
+  } catch { /* background SW may have cycled */ }
+}
+
+// Commands that start a run's work on this page log which selector profile they use
+const PROFILE_ANNOUNCED_CALLS = ['START_BOOKING', 'START_CANCELLATION', 'SCAN_SCHEDULE', 'LIST_LOCATIONS'];
+
+// A handler that throws still answers, with a typed failure instead of leaving the caller to time out
+function serve(message, handler) {
+  loadSelectorProfile(PROFILE_ANNOUNCED_CALLS.includes(message.type))
+    .then(handler)
+    .catch((err) => ({ ok: false, code: 'failed', error: err.message }))
+    .then((result) => reply(message, result));
+}
+
 chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   switch (message.type) {
     case 'START_BOOKING':
-      sendResponse({ received: true });
-      runBulkBooking(message.selectedDays || [1, 2, 3, 4, 5]).catch(async (err) => {
-        await log('error', `Unhandled error: ${err.message}`);
-        try {
-          await chrome.runtime.sendMessage({ type: 'BOOKING_ERROR', message: `Unhandled error: ${err.message}` });
-        } catch { /* */ }
-      });
+      serve(message, () => runBulkBooking(message.selectedDays || [1, 2, 3, 4, 5], message.horizonEnd, message.excludedDates, message.preview, message.targetDates));
+      break;
+
+    case 'START_CANCELLATION':
+      serve(message, () => runBulkCancellation(message.targetDates || [], message.lastDate));
+      break;
+
+    case 'STOP':
+      stopRequested = true;
       break;
 
     case 'RESOLVE_SEAT':
-      sendResponse({ received: true });
-      resolveFeatureId(message.seatName)
-        .then((featureId) => chrome.runtime.sendMessage({ type: 'SEAT_RESULT', featureId }))
-        .catch((err) => chrome.runtime.sendMessage({ type: 'SEAT_RESULT', error: err.message }).catch(() => {}));
+      serve(message, async () => ({ ok: true, featureId: await resolveFeatureId(message.seatName) }));
       break;
 
     case 'BOOK_SEAT':
-      sendResponse({ received: true });
-      bookSeatOnCurrentPage(message.featureId, message.seatName, message.dateStr)
-        .then((result) => chrome.runtime.sendMessage({ type: 'SEAT_RESULT', ...result }))
-        .catch((err) => chrome.runtime.sendMessage({ type: 'SEAT_RESULT', ok: false, error: err.message }).catch(() => {}));
+      serve(message, () => bookSeatOnCurrentPage(message.featureId, message.seatName, message.dateStr, message.preview));
       break;
 
     case 'SCAN_SCHEDULE':
-      sendResponse({ received: true });
-      scanScheduleForBooked(message.targetDates || [])
-        .then((bookedDates) => chrome.runtime.sendMessage({ type: 'SCHEDULE_SCAN_RESULT', bookedDates }))
-        .catch(() => chrome.runtime.sendMessage({ type: 'SCHEDULE_SCAN_RESULT', bookedDates: [] }).catch(() => {}));
+      serve(message, async () => {
+        const booked = await scanScheduleForBooked(message.targetDates || [], message.horizonEnd);
+        return { ok: true, bookedDates: [...booked.keys()], desks: Object.fromEntries(booked) };
+      });
+      break;
+
+    case 'LIST_LOCATIONS':
+      serve(message, async () => ({ ok: true, data: await listLocations() }));
+      break;
+
+    case 'SWITCH_LOCATION':
+      serve(message, async () => ({ ok: true, data: await switchLocation(message.name) }));
+      break;
+
+    case 'LIST_FLOORS':
+      serve(message, async () => ({ ok: true, data: await listFloors() }));
       break;
   }
+  sendResponse({ received: true });
   return true;
 });
@@ -0,0 +1,99 @@
+/**
+ * Envoy Bulk Booking — Date resolution
+ *
+ * Works out which calendar date a day card on the schedule page (or anything
+ * inside one) stands for. Machine-readable sources win: the card's own
+ * attributes (data-test-day-card and friends holding an ISO date), then a
+ * single datetime attribute inside it. Only when there is none is the text
+ * read, in the page's language (see locales.js). A day and month shown without
+ * a year go in whichever year puts them closest to the week being viewed, so
+ * "Jan 2" read while paging from late December lands in the new year. The
+ * viewed week comes from a date in the URL if Envoy puts one there, else from
+ * the dated day cards, else from how many weeks the run has paged forward.
+ * Shared by the content script's booking, verification and cancellation runs.
+ */
+
+function toLocalDateStr(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+// Local date an attribute or URL value holds ("2025-10-20", "2025-10-20T09:00:00Z"), or null
+function isoDateIn(value) {
+  const text = (value || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  if (!/^\d{4}-\d{2}-\d{2}T/.test(text)) return null;
+  const d = new Date(text);
+  return isNaN(d) ? null : toLocalDateStr(d);
+}
+
+/* ── Structured sources ──────────────────────────────────────────────── */
+
+// The node's own date, or that of the only datetime attribute inside it — a week container
+// holds seven, so it never lends one of them to a card that has none
+function structuredDate(node) {
+  for (const attr of node.attributes || []) {
+    const date = isoDateIn(attr.value);
+    if (date) return { date, source: `${attr.name} attribute` };
+  }
+  const inner = new Set(Array.from(node.querySelectorAll?.('[datetime]') || [], (el) => isoDateIn(el.getAttribute('datetime'))));
+  inner.delete(null);
+  return inner.size === 1 ? { date: [...inner][0], source: 'datetime attribute' } : null;
+}
+
+// A date inside the week being viewed, and where it came from
+function readWeekAnchor(cardSelector, weeksPaged) {
+  for (const [name, value] of new URL(location.href).searchParams) {
+    const date = isoDateIn(value);
+    if (date) return { date, source: `the "${name}" URL parameter` };
+  }
+  const dated = Array.from(document.querySelectorAll(cardSelector), (card) => structuredDate(card)?.date)
+    .filter(Boolean).sort();
+  if (dated.length > 0) return { date: dated[0], source: 'the dated day cards' };
+  const estimate = new Date();
+  estimate.setDate(estimate.getDate() + 7 * weeksPaged);
+  return { date: toLocalDateStr(estimate), source: `today plus ${weeksPaged} week(s) paged` };
+}
+
+/* ── Text fallback ───────────────────────────────────────────────────── */
+
+// The year that puts the month and day closest to the anchor
+function placeInYear(month, day, anchor) {
+  const ref = new Date(`${anchor}T00:00`);
+  let best = null;
+  for (const year of [ref.getFullYear() - 1, ref.getFullYear(), ref.getFullYear() + 1]) {
+    const d = new Date(year, month, day);
+    if (d.getMonth() !== month) continue; // 29 February outside a leap year
+    if (!best || Math.abs(d - ref) < Math.abs(best - ref)) best = d;
+  }
+  return best ? toLocalDateStr(best) : null;
+}
+
+function dateFromText(text, lang, anchor) {
+  const m = findDayMonth(text, lang);
+  if (m) return placeInYear(m.month, m.day, anchor);
+  const iso = text.match(/\b\d{4}-\d{2}-\d{2}\b/);
+  return iso ? iso[0] : null;
+}
+
+/* ── Resolution ──────────────────────────────────────────────────────── */
+
+// { date, source } for the element, or null. Structured sources on its day card, or on up to
+// `maxDepth` ancestors outside a card, are tried before any text; `source` is 'text' when it came to
+// that. Inside a card the search stops at it, so a week-wide attribute can't date every day.
+function resolveDate(el, { lang, anchor, cardSelector, maxDepth = 8 }) {
+  const card = el.closest(cardSelector);
+  const fromCard = card && structuredDate(card);
+  if (fromCard) return fromCard;
+  for (let node = el, i = 0; node && node !== card && i < maxDepth; node = node.parentElement, i++) {
+    const found = structuredDate(node);
+    if (found) return found;
+  }
+  for (let node = el, i = 0; node && i < maxDepth; node = node.parentElement, i++) {
+    const date = dateFromText(node.textContent || '', lang, anchor);
+    if (date) return { date, source: 'text' };
+  }
+  return null;
+}
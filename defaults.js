@@ -0,0 +1,13 @@
+/**
+ * Envoy Bulk Booking — Setting defaults
+ *
+ * What the optional settings mean before the user has saved them. Shared by
+ * the service worker (via importScripts), which runs on them, and the Settings
+ * page, which shows them — one copy, so the two can't drift apart.
+ */
+
+const DEFAULT_RUN_SCHEDULE = { times: ['11:00'], weekdays: [0, 1, 2, 3, 4, 5, 6] };
+const DEFAULT_HORIZON      = { amount: 30, unit: 'days' };
+const DEFAULT_QUOTA        = { enabled: false, days: 3, priority: [2, 3, 4, 1, 5, 6, 0] };
+const DEFAULT_SNIPER       = { enabled: false, releaseTime: '00:00', leadMinutes: 2, retrySeconds: 120 };
+const DEFAULT_SEAT_WATCH   = { enabled: false, intervalMinutes: 10, swap: false };
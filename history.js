@@ -0,0 +1,169 @@
+const historyBody  = document.getElementById('history-body');
+const historyEmpty = document.getElementById('history-empty');
+const historyCount = document.getElementById('history-count');
+const attendanceEl = document.getElementById('attendance-summary');
+const weeksBody    = document.getElementById('weeks-body');
+const monthsBody   = document.getElementById('months-body');
+const desksBody    = document.getElementById('desks-body');
+
+const WEEKS_BACK  = 11; // weeks of history shown in the weekly table
+const WEEKS_AHEAD = 4;  // upcoming weeks, for bookings already made
+
+const OUTCOME_LABELS = {
+  booked: 'Booked', already_booked: 'Already booked', excluded: 'Excluded', failed: 'Failed', cancelled: 'Cancelled',
+};
+const MODE_LABELS = { auto: 'Auto-assign', map: 'Specific seat' };
+const EXPORT_FIELDS = ['date', 'outcome', 'desk', 'mode', 'trigger', 'runId', 'runAt', 'note'];
+
+let entries = []; // the stored booking history
+let policy = { ...DEFAULT_ATTENDANCE_POLICY };
+
+function formatRunAt(timestamp) {
+  return new Date(timestamp).toLocaleString('en-AU', {
+    day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit',
+  });
+}
+
+function renderHistory() {
+  historyBody.innerHTML = '';
+  historyEmpty.classList.toggle('hidden', entries.length > 0);
+  historyCount.textContent = `${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`;
+
+  // Newest run first, dates ascending within a run
+  const rows = [...entries].sort((a, b) => b.runAt - a.runAt || a.date.localeCompare(b.date));
+  for (const entry of rows) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td></td><td></td><td></td><td></td><td></td><td></td>`;
+    const cells = tr.querySelectorAll('td');
+    cells[0].textContent = entry.date;
+    cells[1].textContent = OUTCOME_LABELS[entry.outcome] || entry.outcome;
+    cells[1].className = `outcome-${entry.outcome}`;
+    cells[2].textContent = entry.desk || entry.note || '';
+    if (!entry.desk && entry.note) cells[2].className = 'history-note';
+    cells[3].textContent = MODE_LABELS[entry.mode] || entry.mode || '—';
+    cells[4].textContent = entry.trigger;
+    cells[5].textContent = formatRunAt(entry.runAt);
+    cells[5].title = `Run ${entry.runId}`;
+    historyBody.appendChild(tr);
+  }
+}
+
+/* ── Attendance ──────────────────────────────────────────────────────── */
+
+function fillTable(tbody, rows) {
+  tbody.innerHTML = '';
+  for (const { cells, className } of rows) {
+    const tr = document.createElement('tr');
+    if (className) tr.className = className;
+    for (const cell of cells) {
+      const td = document.createElement('td');
+      td.textContent = cell.text ?? cell;
+      if (cell.className) td.className = cell.className;
+      tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+  }
+}
+
+function renderAttendance() {
+  const officeDays = getOfficeDays(entries);
+  const minDays = policy.minDaysPerWeek;
+  const thisWeek = weekStartOf(new Date());
+  const weeks = summarizeWeeks(officeDays, addWeeks(thisWeek, -WEEKS_BACK), addWeeks(thisWeek, WEEKS_AHEAD), minDays);
+
+  if (minDays > 0) {
+    const { current, longest } = getWeekStreaks(weeks);
+    attendanceEl.textContent = `Policy: ${minDays} office day(s) per week. `
+      + `Current streak: ${current} week(s) meeting it; longest in this view: ${longest}.`;
+  } else {
+    attendanceEl.textContent = 'No weekly office-day policy set — add one in Settings to track it here.';
+  }
+
+  fillTable(weeksBody, [...weeks].reverse().map((w) => ({
+    className: w.weekStart.getTime() === thisWeek.getTime() ? 'week-current' : '',
+    cells: [
+      w.weekStart.toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' }),
+      String(w.days),
+      w.meets === null ? '—'
+        : w.meets ? { text: 'Met', className: 'policy-met' }
+        : { text: `Short by ${minDays - w.days}`, className: 'policy-short' },
+    ],
+  })));
+
+  fillTable(monthsBody, summarizeMonths(officeDays).reverse().slice(0, 6).map((m) => ({
+    cells: [new Date(`${m.month}-01T00:00`).toLocaleDateString('en-AU', { month: 'long', year: 'numeric' }), String(m.days)],
+  })));
+
+  const desks = getTopDesks(officeDays);
+  fillTable(desksBody, desks.length > 0
+    ? desks.map((d) => ({ cells: [d.desk, String(d.days)] }))
+    : [{ cells: ['No named seats yet', ''] }]);
+}
+
+/* ── Export ──────────────────────────────────────────────────────────── */
+
+function toExportRow(entry) {
+  return { ...entry, runAt: new Date(entry.runAt).toISOString() };
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+  const lines = entries.map((e) => EXPORT_FIELDS.map((f) => csvCell(toExportRow(e)[f])).join(','));
+  return [EXPORT_FIELDS.join(','), ...lines].join('\n');
+}
+
+function download(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportName(ext) {
+  const d = new Date();
+  const stamp = `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
+  return `envoy-booking-history-${stamp}.${ext}`;
+}
+
+document.getElementById('export-csv-btn').addEventListener('click', () => {
+  download(exportName('csv'), 'text/csv', toCsv(entries));
+});
+
+document.getElementById('export-json-btn').addEventListener('click', () => {
+  download(exportName('json'), 'application/json', JSON.stringify(entries.map(toExportRow), null, 2));
+});
+
+document.getElementById('clear-history-btn').addEventListener('click', async () => {
+  if (!confirm('Delete the whole booking history? Export it first if you need it.')) return;
+  await chrome.storage.local.remove('bookingHistory');
+});
+
+/* ── Bootstrap ───────────────────────────────────────────────────────── */
+
+(async () => {
+  const stored = await chrome.storage.local.get(['bookingHistory', 'attendancePolicy']);
+  entries = stored.bookingHistory || [];
+  policy = { ...DEFAULT_ATTENDANCE_POLICY, ...stored.attendancePolicy };
+  renderHistory();
+  renderAttendance();
+})();
+
+// Live updates while a run is writing entries
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.bookingHistory) {
+    entries = changes.bookingHistory.newValue || [];
+    renderHistory();
+    renderAttendance();
+  }
+  if (area === 'local' && changes.attendancePolicy) {
+    policy = { ...DEFAULT_ATTENDANCE_POLICY, ...changes.attendancePolicy.newValue };
+    renderAttendance();
+  }
+});
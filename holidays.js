@@ -0,0 +1,224 @@
+/**
+ * Envoy Bulk Booking — Public holiday calendars
+ *
+ * Offline, rule-based holiday engine shared by the service worker (via
+ * importScripts) and the Settings page. Each calendar is a list of rules —
+ * fixed dates, nth weekday of a month, or offsets from Easter — plus how a
+ * holiday that falls on a weekend is observed. One-off proclamations (royal
+ * funerals, moved bank holidays) are not covered.
+ */
+
+/* ── Date rules ──────────────────────────────────────────────────────── */
+
+function holidayDateStr(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+// Anonymous Gregorian algorithm
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+const fixed = (month, day) => (year) => new Date(year, month - 1, day);
+
+// n-th `weekday` (0 = Sun) of `month`; n = -1 means the last one
+const nthWeekday = (month, weekday, n) => (year) => {
+  if (n > 0) {
+    const first = new Date(year, month - 1, 1);
+    const offset = (weekday - first.getDay() + 7) % 7;
+    return new Date(year, month - 1, 1 + offset + (n - 1) * 7);
+  }
+  const last = new Date(year, month, 0);
+  const offset = (last.getDay() - weekday + 7) % 7;
+  return new Date(year, month - 1, last.getDate() - offset);
+};
+
+// First `weekday` on or after month/day
+const weekdayOnOrAfter = (month, day, weekday) => (year) => {
+  const date = new Date(year, month - 1, day);
+  date.setDate(date.getDate() + ((weekday - date.getDay() + 7) % 7));
+  return date;
+};
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+const easterOffset = (days) => (year) => addDays(easterSunday(year), days);
+
+const MON = 1;
+const TUE = 2;
+const THU = 4;
+
+/* ── Calendars ───────────────────────────────────────────────────────── */
+
+// observe: 'monday'   — weekend holiday moves to the next free weekday (AU/UK style)
+//          'nearest'  — Saturday → Friday, Sunday → Monday (US federal style)
+//          undefined  — no substitute day
+// regions: limits the rule to those regions; absent means every region
+// from:    first year the rule applies
+
+const AU_RULES = [
+  { name: "New Year's Day", date: fixed(1, 1), observe: 'monday' },
+  { name: 'Australia Day', date: fixed(1, 26), observe: 'monday' },
+  { name: 'Canberra Day', date: nthWeekday(3, MON, 2), regions: ['ACT'] },
+  { name: 'Labour Day', date: nthWeekday(3, MON, 1), regions: ['WA'] },
+  { name: 'Labour Day', date: nthWeekday(3, MON, 2), regions: ['VIC'] },
+  { name: 'Eight Hours Day', date: nthWeekday(3, MON, 2), regions: ['TAS'] },
+  { name: 'Adelaide Cup Day', date: nthWeekday(3, MON, 2), regions: ['SA'] },
+  { name: 'Good Friday', date: easterOffset(-2) },
+  { name: 'Easter Saturday', date: easterOffset(-1), regions: ['NSW', 'VIC', 'QLD', 'SA', 'ACT', 'NT'] },
+  { name: 'Easter Sunday', date: easterOffset(0), regions: ['NSW', 'VIC', 'QLD', 'WA', 'ACT'] },
+  { name: 'Easter Monday', date: easterOffset(1) },
+  { name: 'Anzac Day', date: fixed(4, 25), observe: 'monday', regions: ['WA', 'ACT'] },
+  { name: 'Anzac Day', date: fixed(4, 25), regions: ['', 'NSW', 'VIC', 'QLD', 'SA', 'TAS', 'NT'] },
+  { name: 'Labour Day', date: nthWeekday(5, MON, 1), regions: ['QLD'] },
+  { name: 'May Day', date: nthWeekday(5, MON, 1), regions: ['NT'] },
+  { name: 'Reconciliation Day', date: weekdayOnOrAfter(5, 27, MON), regions: ['ACT'], from: 2018 },
+  { name: 'Western Australia Day', date: nthWeekday(6, MON, 1), regions: ['WA'] },
+  { name: "King's Birthday", date: nthWeekday(6, MON, 2), regions: ['NSW', 'VIC', 'SA', 'TAS', 'ACT', 'NT'] },
+  { name: 'Picnic Day', date: nthWeekday(8, MON, 1), regions: ['NT'] },
+  { name: "King's Birthday", date: nthWeekday(9, MON, -1), regions: ['WA'] },
+  { name: 'Labour Day', date: nthWeekday(10, MON, 1), regions: ['NSW', 'SA', 'ACT'] },
+  { name: "King's Birthday", date: nthWeekday(10, MON, 1), regions: ['QLD'] },
+  { name: 'Melbourne Cup Day', date: nthWeekday(11, TUE, 1), regions: ['VIC'] },
+  { name: 'Christmas Day', date: fixed(12, 25), observe: 'monday' },
+  { name: 'Boxing Day', date: fixed(12, 26), observe: 'monday', regions: ['', 'NSW', 'VIC', 'QLD', 'WA', 'TAS', 'ACT', 'NT'] },
+  { name: 'Proclamation Day', date: fixed(12, 26), observe: 'monday', regions: ['SA'] },
+];
+
+const US_RULES = [
+  { name: "New Year's Day", date: fixed(1, 1), observe: 'nearest' },
+  { name: 'Martin Luther King Jr. Day', date: nthWeekday(1, MON, 3) },
+  { name: "Lincoln's Birthday", date: fixed(2, 12), regions: ['NY'] },
+  { name: "Washington's Birthday", date: nthWeekday(2, MON, 3) },
+  { name: 'Texas Independence Day', date: fixed(3, 2), regions: ['TX'] },
+  { name: 'César Chávez Day', date: fixed(3, 31), observe: 'nearest', regions: ['CA'] },
+  { name: "Patriots' Day", date: nthWeekday(4, MON, 3), regions: ['MA'] },
+  { name: 'San Jacinto Day', date: fixed(4, 21), regions: ['TX'] },
+  { name: 'Memorial Day', date: nthWeekday(5, MON, -1) },
+  { name: 'Juneteenth', date: fixed(6, 19), observe: 'nearest', from: 2021 },
+  { name: 'Independence Day', date: fixed(7, 4), observe: 'nearest' },
+  { name: 'Labor Day', date: nthWeekday(9, MON, 1) },
+  { name: 'Columbus Day', date: nthWeekday(10, MON, 2) },
+  { name: 'Veterans Day', date: fixed(11, 11), observe: 'nearest' },
+  { name: 'Thanksgiving Day', date: nthWeekday(11, THU, 4) },
+  { name: 'Day after Thanksgiving', date: (year) => addDays(nthWeekday(11, THU, 4)(year), 1), regions: ['CA', 'TX', 'WA'] },
+  { name: 'Christmas Day', date: fixed(12, 25), observe: 'nearest' },
+];
+
+const UK_RULES = [
+  { name: "New Year's Day", date: fixed(1, 1), observe: 'monday' },
+  { name: '2nd January', date: fixed(1, 2), observe: 'monday', regions: ['SCT'] },
+  { name: "St Patrick's Day", date: fixed(3, 17), observe: 'monday', regions: ['NIR'] },
+  { name: 'Good Friday', date: easterOffset(-2) },
+  { name: 'Easter Monday', date: easterOffset(1), regions: ['ENG', 'NIR'] },
+  { name: 'Early May bank holiday', date: nthWeekday(5, MON, 1) },
+  { name: 'Spring bank holiday', date: nthWeekday(5, MON, -1) },
+  { name: 'Battle of the Boyne', date: fixed(7, 12), observe: 'monday', regions: ['NIR'] },
+  { name: 'Summer bank holiday', date: nthWeekday(8, MON, 1), regions: ['SCT'] },
+  { name: 'Summer bank holiday', date: nthWeekday(8, MON, -1), regions: ['ENG', 'NIR'] },
+  { name: "St Andrew's Day", date: fixed(11, 30), observe: 'monday', regions: ['SCT'] },
+  { name: 'Christmas Day', date: fixed(12, 25), observe: 'monday' },
+  { name: 'Boxing Day', date: fixed(12, 26), observe: 'monday' },
+];
+
+const HOLIDAY_CALENDARS = {
+  AU: {
+    name: 'Australia',
+    rules: AU_RULES,
+    regions: {
+      '': 'National holidays only', NSW: 'New South Wales', VIC: 'Victoria', QLD: 'Queensland',
+      WA: 'Western Australia', SA: 'South Australia', TAS: 'Tasmania', ACT: 'Australian Capital Territory',
+      NT: 'Northern Territory',
+    },
+  },
+  US: {
+    name: 'United States',
+    rules: US_RULES,
+    regions: {
+      '': 'Federal holidays only', CA: 'California', MA: 'Massachusetts', NY: 'New York', TX: 'Texas',
+      WA: 'Washington',
+    },
+  },
+  GB: {
+    name: 'United Kingdom',
+    rules: UK_RULES,
+    regions: { ENG: 'England & Wales', SCT: 'Scotland', NIR: 'Northern Ireland' },
+  },
+};
+
+/* ── Engine ──────────────────────────────────────────────────────────── */
+
+function ruleApplies(rule, region, year) {
+  if (rule.from && year < rule.from) return false;
+  return !rule.regions || rule.regions.includes(region);
+}
+
+function isWeekend(date) {
+  return date.getDay() === 0 || date.getDay() === 6;
+}
+
+// [{ date: 'YYYY-MM-DD', name }] for one calendar year, ascending
+function getPublicHolidays(country, region, year) {
+  const calendar = HOLIDAY_CALENDARS[country];
+  if (!calendar) return [];
+
+  const actual = calendar.rules
+    .filter((rule) => ruleApplies(rule, region, year))
+    .map((rule) => ({ ...rule, day: rule.date(year) }))
+    .sort((a, b) => a.day - b.day);
+
+  const taken = new Set(actual.map((h) => holidayDateStr(h.day)));
+  const holidays = actual.map((h) => ({ date: holidayDateStr(h.day), name: h.name }));
+
+  for (const h of actual) {
+    if (!h.observe || !isWeekend(h.day)) continue;
+    const sub = new Date(h.day);
+    if (h.observe === 'nearest') {
+      sub.setDate(sub.getDate() + (sub.getDay() === 6 ? -1 : 1));
+    } else {
+      // Next weekday that isn't already a holiday (Christmas/Boxing Day pile-ups)
+      do sub.setDate(sub.getDate() + 1);
+      while (isWeekend(sub) || taken.has(holidayDateStr(sub)));
+    }
+    taken.add(holidayDateStr(sub));
+    holidays.push({ date: holidayDateStr(sub), name: `${h.name} (observed)` });
+  }
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Map of YYYY-MM-DD → holiday name between two dates (inclusive)
+function getHolidayMap(country, region, from, to) {
+  const map = {};
+  const fromStr = holidayDateStr(from);
+  const toStr = holidayDateStr(to);
+  // A neighbouring year's holiday can be observed inside the range, e.g. 1 January on a Saturday
+  // is observed on Friday 31 December
+  for (let year = from.getFullYear() - 1; year <= to.getFullYear() + 1; year++) {
+    for (const { date, name } of getPublicHolidays(country, region, year)) {
+      if (date >= fromStr && date <= toStr) map[date] = map[date] ? `${map[date]} / ${name}` : name;
+    }
+  }
+  return map;
+}
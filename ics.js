@@ -0,0 +1,225 @@
+/**
+ * Envoy Bulk Booking — ICS import
+ *
+ * Minimal iCalendar (RFC 5545) reader for the Settings page. Turns an .ics
+ * export from Outlook or Google Calendar into inclusive date ranges that the
+ * booking flows skip. Only events that look like time away are kept: all-day
+ * events, events marked Out of Office, and events spanning more than a day.
+ * Daily and weekly repeats are expanded for the next year; any other
+ * recurrence keeps only its first date and is reported back as skipped.
+ */
+
+const ICS_DAY_MS = 86_400_000;
+const ICS_RECURRENCE_DAYS = 366;  // how far ahead repeating events are expanded
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+function unfoldIcsLines(text) {
+  // Long lines are folded with CRLF followed by a space or tab
+  return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+function parseIcsProperty(line) {
+  const colon = line.indexOf(':');
+  if (colon < 0) return null;
+  const [name, ...params] = line.slice(0, colon).split(';');
+  const paramMap = {};
+  for (const p of params) {
+    const [k, v = ''] = p.split('=');
+    paramMap[k.toUpperCase()] = v;
+  }
+  return { name: name.toUpperCase(), params: paramMap, value: line.slice(colon + 1) };
+}
+
+// Milliseconds `timeZone` is ahead of UTC at the given instant; throws for zones Intl doesn't know
+function icsZoneOffset(timeZone, instant) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(instant);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - instant;
+}
+
+// Returns { date: Date (local), allDay: boolean } or null for a single value
+function parseIcsDateValue(value, params) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, sec, utc] = m;
+  if (!h || params.VALUE === 'DATE') {
+    return { date: new Date(+y, +mo - 1, +d), allDay: true };
+  }
+  const wall = Date.UTC(+y, +mo - 1, +d, +h, +mi, +sec);
+  if (utc) return { date: new Date(wall), allDay: false };
+  if (params.TZID) {
+    try {
+      // Two passes settle times near a DST change
+      let instant = wall - icsZoneOffset(params.TZID, wall);
+      instant = wall - icsZoneOffset(params.TZID, instant);
+      return { date: new Date(instant), allDay: false };
+    } catch { /* Windows zone names (e.g. from Outlook) aren't IANA — read as local instead */ }
+  }
+  return { date: new Date(+y, +mo - 1, +d, +h, +mi, +sec), allDay: false };
+}
+
+function parseIcsDate(prop) {
+  return parseIcsDateValue(prop.value, prop.params);
+}
+
+function unescapeIcsText(value) {
+  return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+function icsLocalDateStr(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+function toExclusion(event) {
+  if (!event.start) return null;
+  if (event.status === 'CANCELLED') return null;
+
+  const start = event.start.date;
+  let end = event.end ? event.end.date : start;
+  const outOfOffice = event.busyStatus === 'OOF';
+  const longerThanDay = end - start >= ICS_DAY_MS;
+  if (!event.start.allDay && !outOfOffice && !longerThanDay) return null;
+
+  // DTEND is exclusive: an all-day event ending on the 5th covers up to the 4th
+  if (event.end && end > start) end = new Date(end.getTime() - (event.end.allDay ? ICS_DAY_MS : 1));
+
+  return {
+    start: icsLocalDateStr(start),
+    end: icsLocalDateStr(end),
+    label: event.summary || 'Calendar event',
+    source: 'ics',
+  };
+}
+
+/* ── Recurrence ──────────────────────────────────────────────────────── */
+
+function parseRrule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [k, v = ''] = part.split('=');
+    rule[k.toUpperCase()] = v.toUpperCase();
+  }
+  return rule;
+}
+
+function addIcsDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days); // keeps the wall-clock time across DST changes
+  return d;
+}
+
+// Only FREQ=DAILY and FREQ=WEEKLY (with INTERVAL, COUNT, UNTIL, BYDAY) are expanded
+function isSimpleRrule(rule) {
+  const known = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST'];
+  if (!['DAILY', 'WEEKLY'].includes(rule.FREQ)) return false;
+  if (Object.keys(rule).some((k) => !known.includes(k))) return false;
+  if (rule.BYDAY && rule.BYDAY.split(',').some((d) => !ICS_WEEKDAYS.includes(d))) return false;
+  return rule.FREQ === 'WEEKLY' || !rule.BYDAY;
+}
+
+// Start dates of the occurrences between `from` and `limit`, EXDATE days left out. Earlier ones
+// still count towards COUNT.
+function expandRrule(start, rule, exdates, from, limit) {
+  const interval = Math.max(1, Number(rule.INTERVAL) || 1);
+  const count = Number(rule.COUNT) || Infinity;
+  const until = rule.UNTIL ? parseIcsDateValue(rule.UNTIL, {}) : null;
+  // A date-only UNTIL includes that whole day
+  const untilAt = until && (until.allDay ? new Date(addIcsDays(until.date, 1) - 1) : until.date);
+  const last = untilAt && untilAt < limit ? untilAt : limit;
+  const days = rule.BYDAY ? rule.BYDAY.split(',').map((d) => ICS_WEEKDAYS.indexOf(d)) : [start.getDay()];
+  const weekStart = ICS_WEEKDAYS.indexOf(rule.WKST || 'MO');
+
+  const dates = [];
+  let seen = 0;
+  // Whole days for DAILY; for WEEKLY, the days of every `interval`-th week counted from the start's week
+  const weekOrigin = addIcsDays(start, -((start.getDay() - weekStart + 7) % 7));
+  for (let i = 0; seen < count; i++) {
+    const candidate = addIcsDays(start, i);
+    if (candidate > last) break;
+    if (rule.FREQ === 'DAILY' ? i % interval !== 0 : !days.includes(candidate.getDay())) continue;
+    if (rule.FREQ === 'WEEKLY' && Math.floor(Math.round((candidate - weekOrigin) / ICS_DAY_MS) / 7) % interval !== 0) continue;
+    seen++;
+    if (candidate >= from && !exdates.has(icsLocalDateStr(candidate))) dates.push(candidate);
+  }
+  return dates;
+}
+
+// One event per occurrence still to come, each keeping the original duration
+function expandIcsEvent(event, from, limit) {
+  if (!event.rrule || !event.start) return [event];
+  const start = event.start.date;
+  const length = event.end ? event.end.date - start : 0;
+  return expandRrule(start, event.rrule, event.exdates, new Date(from - length), limit).map((date) => ({
+    ...event,
+    start: { ...event.start, date },
+    end: event.end ? { ...event.end, date: new Date(date.getTime() + length) } : null,
+  }));
+}
+
+// Returns { exclusions, skipped, recurring } — `recurring` names events whose repeats couldn't be
+// read, so only their first date was kept
+function parseIcsExclusions(text) {
+  const exclusions = [];
+  const recurring = [];
+  let skipped = 0;
+  let event = null;
+  const events = [];
+
+  for (const line of unfoldIcsLines(text)) {
+    const prop = parseIcsProperty(line);
+    if (!prop) continue;
+
+    if (prop.name === 'BEGIN' && prop.value.toUpperCase() === 'VEVENT') {
+      event = { exdates: new Set() };
+    } else if (prop.name === 'END' && prop.value.toUpperCase() === 'VEVENT') {
+      if (event) events.push(event);
+      event = null;
+    } else if (event) {
+      if (prop.name === 'DTSTART') event.start = parseIcsDate(prop);
+      else if (prop.name === 'RRULE') event.rrule = parseRrule(prop.value);
+      else if (prop.name === 'UID') event.uid = prop.value;
+      else if (prop.name === 'RECURRENCE-ID') event.recurrenceId = parseIcsDate(prop);
+      else if (prop.name === 'EXDATE') {
+        for (const value of prop.value.split(',')) {
+          const ex = parseIcsDateValue(value, prop.params);
+          if (ex) event.exdates.add(icsLocalDateStr(ex.date));
+        }
+      }
+      else if (prop.name === 'DTEND') event.end = parseIcsDate(prop);
+      else if (prop.name === 'SUMMARY') event.summary = unescapeIcsText(prop.value);
+      else if (prop.name === 'STATUS') event.status = prop.value.toUpperCase();
+      else if (prop.name === 'X-MICROSOFT-CDO-BUSYSTATUS') event.busyStatus = prop.value.toUpperCase();
+    }
+  }
+
+  // A moved or edited occurrence is its own event, replacing that date of the series
+  for (const override of events.filter((e) => e.recurrenceId && e.uid)) {
+    const master = events.find((e) => e.uid === override.uid && e.rrule);
+    if (master) master.exdates.add(icsLocalDateStr(override.recurrenceId.date));
+  }
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const limit = addIcsDays(today, ICS_RECURRENCE_DAYS);
+  for (const e of events) {
+    if (e.rrule && !isSimpleRrule(e.rrule)) {
+      recurring.push(e.summary || 'Calendar event');
+      delete e.rrule; // keep the first occurrence, as before
+    }
+    if (!toExclusion(e)) {
+      skipped++;
+      continue;
+    }
+    for (const occurrence of expandIcsEvent(e, today, limit)) {
+      const exclusion = toExclusion(occurrence);
+      if (exclusion) exclusions.push(exclusion);
+    }
+  }
+
+  return { exclusions, skipped, recurring };
+}
@@ -0,0 +1,145 @@
+/**
+ * Envoy Bulk Booking — Dashboard locales
+ *
+ * Lets the content script read Envoy in languages other than English. The
+ * language comes from the page's lang attribute. A locale pack adds that
+ * language's button labels and popup wording to the selector profile; weekday
+ * and month names come from Intl, so dates parse in any language the browser
+ * knows, pack or not. English always stays in the mix as a fallback, since
+ * Envoy leaves some strings untranslated.
+ */
+
+const LOCALE_PACKS = {
+  fr: {
+    name: 'French',
+    selectors: {
+      buttonLabels:          ['planifier', 'réserver', 'réserver un bureau', 'réserver le bureau'],
+      bookedLabels:          ['Planifié', 'Réservé'],
+      confirmKeywords:       ['confirmer', 'réserver', 'planifier', 'oui', 'valider'],
+      cancelLabels:          ['annuler', 'annuler la réservation', 'libérer', 'libérer le bureau', 'supprimer la réservation'],
+      cancelConfirmKeywords: ['annuler la réservation', 'oui', 'confirmer', 'libérer', 'supprimer'],
+      popupUnavailableText:  'Non réservable',
+      popupTakenText:        'Planifié',
+      popupAvailableText:    'Disponible',
+    },
+  },
+  ja: {
+    name: 'Japanese',
+    selectors: {
+      buttonLabels:          ['スケジュール', '予約', '予約する', 'デスクを予約'],
+      bookedLabels:          ['予約済み', 'スケジュール済み'],
+      confirmKeywords:       ['確認', '予約', 'はい', '送信'],
+      cancelLabels:          ['キャンセル', '予約をキャンセル', '解放', 'デスクを解放', '予約を削除'],
+      cancelConfirmKeywords: ['予約をキャンセル', 'はい', '確認', '解放', '削除'],
+      popupUnavailableText:  '予約できません',
+      popupTakenText:        '予約済み',
+      popupAvailableText:    '予約可能',
+    },
+  },
+};
+
+// Primary language subtag the page declares, e.g. "fr" for lang="fr-FR"
+function getPageLanguage() {
+  return (document.documentElement.lang || 'en').split('-')[0].toLowerCase();
+}
+
+// Profile entries with the language's pack applied: lists gain the translations (English stays),
+// single strings are replaced
+function localizeSelectors(selectors, lang) {
+  const pack = LOCALE_PACKS[lang];
+  if (!pack) return selectors;
+  const localized = { ...selectors };
+  for (const [key, value] of Object.entries(pack.selectors)) {
+    localized[key] = Array.isArray(value) ? [...new Set([...value, ...selectors[key]])] : value;
+  }
+  return localized;
+}
+
+/* ── Weekday and month names ─────────────────────────────────────────── */
+
+const dateNameCache = new Map(); // lang → { weekdays, months, weekdayPattern, calendars }
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const cleanDateName = (name) => name.toLowerCase().replace(/\.$/, '').trim();
+
+function getDateNames(lang) {
+  if (dateNameCache.has(lang)) return dateNameCache.get(lang);
+
+  const weekdays = new Map(); // lower-cased name → 0 (Sun) … 6, every language
+  const months   = new Map(); // lower-cased name → 0 (Jan) … 11, every language
+  const calendarMonths = [];  // one name → month map per language, the page's own first
+  for (const locale of new Set([lang, 'en'])) {
+    const own = new Map();
+    try {
+      for (const style of ['long', 'short']) {
+        const weekday = new Intl.DateTimeFormat(locale, { weekday: style, timeZone: 'UTC' });
+        const month   = new Intl.DateTimeFormat(locale, { month: style, timeZone: 'UTC' });
+        // 1 January 2023 was a Sunday
+        for (let d = 0; d < 7; d++) weekdays.set(cleanDateName(weekday.format(Date.UTC(2023, 0, 1 + d))), d);
+        for (let m = 0; m < 12; m++) own.set(cleanDateName(month.format(Date.UTC(2023, m, 15))), m);
+      }
+    } catch { /* a lang attribute Intl doesn't know — English still applies */ }
+    own.forEach((m, name) => months.set(name, m));
+    if (own.size > 0) calendarMonths.push(own);
+  }
+
+  // Longest first, so "10月" is tried before "1月" and "juillet" before "juil"
+  const alternation = (names) => [...names].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  // A one-character weekday (月, 火 …) only counts in brackets — bare, it is too common a character
+  const longDays  = [...weekdays.keys()].filter((n) => n.length > 1);
+  const shortDays = [...weekdays.keys()].filter((n) => n.length === 1);
+  const dayAlternatives = [`(?<![\\p{L}\\d])(?:${alternation(longDays)})\\p{L}*`];
+  if (shortDays.length > 0) dayAlternatives.push(`[(（](?:${alternation(shortDays)})[)）]`);
+
+  const names = {
+    weekdays,
+    months,
+    weekdayPattern: new RegExp(dayAlternatives.join('|'), 'giu'),
+    calendars: calendarMonths.map((own) => {
+      const monthNames = alternation(own.keys());
+      // Numbered months ("11月") can't follow a day — "11月" would read as the 1st of "1月"
+      const wordMonths = alternation([...own.keys()].filter((n) => /^\p{L}/u.test(n)));
+      return {
+        months: own,
+        // "Oct 20", "Sept 5", "10月20日", "2025年1月2日" (年 is a letter, but the year may lead in)
+        monthFirst: new RegExp(`(?<![\\d]|[^\\P{L}年])(${monthNames})(\\p{L}*)\\.?\\s*(\\d{1,2})(?!\\d)`, 'giu'),
+        // "20 oct.", "20. Okt", "20 de octubre"
+        dayFirst: wordMonths && new RegExp(`(?<!\\d)(\\d{1,2})\\.?\\s*(?:de\\s+)?(${wordMonths})(?!\\p{L})`, 'iu'),
+      };
+    }),
+  };
+  dateNameCache.set(lang, names);
+  return names;
+}
+
+// Weekday (0 = Sunday) named in the text, or null
+function findWeekdayName(text, lang) {
+  const { weekdays, months, weekdayPattern } = getDateNames(lang);
+  const byLength = [...weekdays.keys()].sort((a, b) => b.length - a.length);
+  for (const [match] of text.matchAll(weekdayPattern)) {
+    const name = cleanDateName(match.replace(/[(（)）]/g, ''));
+    if (months.has(name) && !weekdays.has(name)) continue; // "mars" is March, not a long "mar" (Tuesday)
+    // Envoy may abbreviate differently from Intl ("Tues"), so fall back to the longest known prefix
+    const known = byLength.find((n) => name.startsWith(n));
+    if (known !== undefined) return weekdays.get(known);
+  }
+  return null;
+}
+
+// { month (0-11), day } for the first day-and-month in the text, or null. The page language's
+// month names are tried before English ones, and day-first before month-first, so the English
+// "mar" (March) can't claim a French "mar. 21 oct."
+function findDayMonth(text, lang) {
+  const { weekdays, calendars } = getDateNames(lang);
+  for (const { months, monthFirst, dayFirst } of calendars) {
+    const lookup = (name) => months.get(cleanDateName(name));
+    const b = dayFirst && text.match(dayFirst);
+    if (b && lookup(b[2]) !== undefined) return { month: lookup(b[2]), day: Number(b[1]) };
+    for (const a of text.matchAll(monthFirst)) {
+      // "mardi 21" and "mar. 21" are a weekday and a day, not March
+      if (weekdays.has(cleanDateName(a[1] + a[2]))) continue;
+      if (lookup(a[1]) !== undefined) return { month: lookup(a[1]), day: Number(a[3]) };
+    }
+  }
+  return null;
+}
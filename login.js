@@ -0,0 +1,195 @@
+/**
+ * Envoy Bulk Booking — Login adapters
+ *
+ * One adapter per sign-in page the extension knows how to drive: Envoy's own
+ * login form and the identity providers it commonly hands over to. Shared by
+ * the service worker (via importScripts), which picks an adapter for the tab
+ * and injects runLoginAdapter into it, and the Settings page, which lists the
+ * providers. Each adapter recognises its page, fills the username or picks the
+ * matching account tile, and reports what it did — or exactly why it couldn't.
+ * Identity provider pages are optional host permissions (`origins`, plus the
+ * company's own sign-in domain if it has one), asked for in Settings when the
+ * provider is picked or the domain entered.
+ */
+
+const LOGIN_ADAPTERS = [
+  { id: 'envoy',  name: 'Envoy',              hosts: [/^dashboard\.envoy\.com$/], origins: [] }, // always granted
+  { id: 'okta',   name: 'Okta',               hosts: [/\.okta\.com$/, /\.oktapreview\.com$/, /\.okta-emea\.com$/],
+    origins: ['https://*.okta.com/*', 'https://*.oktapreview.com/*', 'https://*.okta-emea.com/*'] },
+  { id: 'entra',  name: 'Microsoft Entra ID', hosts: [/^login\.microsoftonline\.com$/, /^login\.microsoft\.com$/, /^login\.live\.com$/],
+    origins: ['https://login.microsoftonline.com/*', 'https://login.microsoft.com/*', 'https://login.live.com/*'] },
+  { id: 'google', name: 'Google Workspace',   hosts: [/^accounts\.google\.com$/], origins: ['https://accounts.google.com/*'] },
+  { id: 'saml',   name: 'Other SAML / ADFS',  hosts: [], origins: [] }, // any other host — access comes from the sign-in page address
+];
+
+// Optional host permissions a provider choice needs; auto-detect needs every known provider's.
+// `loginHost` is the company's own sign-in domain (ADFS, a custom Okta address …), if any.
+function getLoginOrigins(provider, loginHost = '') {
+  const adapters = provider === 'auto' ? LOGIN_ADAPTERS : LOGIN_ADAPTERS.filter((a) => a.id === provider);
+  return [...adapters.flatMap((a) => a.origins), ...(loginHost ? [`https://${loginHost}/*`] : [])];
+}
+
+// Host of a sign-in page address as typed in Settings ("sso.acme.com" or a full URL); '' if none,
+// null if it isn't one
+function parseLoginHost(text) {
+  const value = (text || '').trim();
+  if (!value) return '';
+  try {
+    const url = new URL(/^[a-z]+:\/\//i.test(value) ? value : `https://${value}`);
+    return url.protocol === 'https:' && url.hostname.includes('.') ? url.hostname : null;
+  } catch { return null; }
+}
+
+// Envoy's own pages always get the Envoy adapter. Elsewhere the provider chosen in Settings wins —
+// it is how a custom IdP domain gets the right adapter — then the URL, then the generic chooser.
+function pickLoginAdapter(url, preferred = 'auto') {
+  let host = '';
+  try { host = new URL(url).hostname; } catch { /* about:blank and friends */ }
+  const byHost = LOGIN_ADAPTERS.find((a) => a.hosts.some((re) => re.test(host)));
+  if (byHost?.id === 'envoy') return byHost;
+  return LOGIN_ADAPTERS.find((a) => a.id === preferred)
+    || byHost
+    || LOGIN_ADAPTERS.find((a) => a.id === 'saml');
+}
+
+/* ── Injected page script ────────────────────────────────────────────── */
+
+// Runs inside the sign-in page via chrome.scripting.executeScript, so everything it uses is
+// defined in here. Resolves to { status, detail }, where status is
+//   submitted — a username went in (or a prompt was answered); the page should move on
+//   picked    — an account or provider tile was clicked
+//   challenge — the page wants something only the user can give (password, MFA, a missing email)
+//   failed    — the page wasn't what the adapter expected; detail says how
+function runLoginAdapter(adapterId, email) {
+  const target = (email || '').toLowerCase();
+  const domain = target.split('@')[1] || '';
+
+  const visible = (el) => !!el && !el.disabled && el.getClientRects().length > 0;
+  const find = (selectors) => selectors.map((s) => document.querySelector(s)).find(visible) || null;
+  const failed = (detail) => ({ status: 'failed', detail });
+  const challenge = (name, what) => ({ status: 'challenge', detail: `${name} is asking for ${what}` });
+  const unrecognised = (name) => failed(`this doesn't look like a ${name} sign-in page`);
+  const errorText = (selectors) => find(selectors)?.textContent.trim() || '';
+
+  // React-compatible value injection
+  function fill(field, value) {
+    const setter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set;
+    setter.call(field, value);
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  // null when the page has no username field, so the caller can try something else
+  function fillAndSubmit(name, fieldSelectors, buttonSelectors) {
+    const field = find(fieldSelectors);
+    if (!field) return null;
+    if (!target) return challenge(name, 'your email, and none is saved in Settings');
+    fill(field, email);
+    const form = field.closest('form');
+    const btn = find(buttonSelectors) || (form && Array.from(form.querySelectorAll('button')).find(visible));
+    if (btn) btn.click();
+    else if (form) form.submit();
+    else return failed(`${name}'s sign-in button wasn't found`);
+    return { status: 'submitted', detail: `submitted ${email}` };
+  }
+
+  // Account tiles show the address as text or carry it in a data attribute
+  function pickTile(selectors) {
+    if (!target) return null;
+    const tile = Array.from(document.querySelectorAll(selectors.join(', '))).filter(visible).find((el) =>
+      el.textContent.toLowerCase().includes(target)
+      || Object.values(el.dataset).some((v) => v.toLowerCase() === target));
+    if (!tile) return null;
+    tile.click();
+    return { status: 'picked', detail: `picked the ${email} account` };
+  }
+
+  const adapters = {
+    envoy() {
+      if (find(['input[type="password"]'])) return challenge('Envoy', 'a password');
+      const submitted = fillAndSubmit('Envoy',
+        ['input[type="email"]', 'input[name="email"]', 'input[id*="email"]', 'input[placeholder*="email" i]'],
+        ['button[type="submit"]', 'button[data-test*="continue"]', 'button[data-test*="submit"]', 'input[type="submit"]']);
+      if (submitted) return submitted;
+      // After the email, Envoy may offer SSO as one of several ways in
+      const sso = Array.from(document.querySelectorAll('button, a')).filter(visible)
+        .find((el) => /\b(sso|single sign-on)\b/i.test(el.textContent));
+      if (sso) {
+        sso.click();
+        return { status: 'picked', detail: `chose "${sso.textContent.trim()}"` };
+      }
+      return failed("Envoy's email field wasn't found — the login form may have changed");
+    },
+
+    okta() {
+      if (!document.querySelector('#okta-sign-in, #okta-login-container, [data-se="o-form"]')) return unrecognised('Okta');
+      const error = errorText(['.o-form-error-container [role="alert"]', '.okta-form-infobox-error']);
+      if (error) return failed(`Okta says "${error}"`);
+      if (find(['input[type="password"]'])) return challenge('Okta', 'a password');
+      if (find(['input[name="credentials.passcode"]', '[data-se="okta_verify-push"]', '.authenticator-verify-list', '.mfa-verify'])) {
+        return challenge('Okta', 'MFA');
+      }
+      return fillAndSubmit('Okta',
+        ['input[name="identifier"]', 'input[name="username"]', '#okta-signin-username'],
+        ['input[type="submit"]', '[data-type="save"]', '#okta-signin-submit'])
+        || failed("Okta's username field wasn't found");
+    },
+
+    entra() {
+      if (!document.querySelector('#i0116, #i0118, #tilesHolder, #idSIButton9, #idDiv_SAOTCAS_Title')) return unrecognised('Microsoft');
+      const error = errorText(['#usernameError', '#passwordError', '#service_exception_message']);
+      if (error) return failed(`Microsoft says "${error}"`);
+      if (find(['input[name="passwd"]'])) return challenge('Microsoft', 'a password');
+      if (find(['#idDiv_SAOTCAS_Title', '#idDiv_SAOTCS_Proofs', 'input[name="otc"]'])) return challenge('Microsoft', 'MFA');
+      // "Stay signed in?" — yes, so the next run can sign in silently
+      const staySignedIn = find(['#KmsiCheckboxField', 'input[name="DontShowAgain"]']) && find(['#idSIButton9']);
+      if (staySignedIn) {
+        staySignedIn.click();
+        return { status: 'submitted', detail: 'answered "Stay signed in?"' };
+      }
+      const picked = pickTile(['#tilesHolder [role="listitem"]', '#tilesHolder [data-test-id]']);
+      if (picked) return picked;
+      const submitted = fillAndSubmit('Microsoft', ['input[name="loginfmt"]', '#i0116'], ['#idSIButton9', 'input[type="submit"]']);
+      if (submitted) return submitted;
+      const other = find(['#otherTile']);
+      if (other) {
+        other.click();
+        return { status: 'picked', detail: 'no tile for this account — chose "Use another account"' };
+      }
+      return failed("Microsoft's username field wasn't found");
+    },
+
+    google() {
+      if (!document.querySelector('#identifierId, [data-identifier], input[name="Passwd"], #totpPin')) return unrecognised('Google');
+      if (find(['#identifierId[aria-invalid="true"]'])) return failed(`Google couldn't find an account for ${email}`);
+      if (find(['input[name="Passwd"]'])) return challenge('Google', 'a password');
+      if (find(['#totpPin', 'input[name="totpPin"]', 'input[name="idvPin"]', '[data-challengetype]'])) return challenge('Google', 'a second step');
+      return pickTile(['[data-identifier]', '[data-email]'])
+        || fillAndSubmit('Google', ['#identifierId', 'input[type="email"]'], ['#identifierNext button', '#identifierNext'])
+        || failed(`Google shows no tile or email field for ${email || 'your account'}`);
+    },
+
+    // Home-realm discovery and other choosers: a tile naming the account wins, then one naming its domain
+    saml() {
+      // A password form (ADFS shows username and password together) is the user's to fill in
+      if (find(['input[type="password"]'])) return challenge('The sign-in page', 'a password');
+      const choices = Array.from(document.querySelectorAll('a, button, [role="button"], [role="link"], [onclick], .idp')).filter(visible);
+      const byText = (text) => text && choices.find((el) => el.textContent.toLowerCase().includes(text));
+      const choice = byText(target) || byText(domain);
+      if (choice) {
+        choice.click();
+        return { status: 'picked', detail: `chose "${choice.textContent.trim().slice(0, 60)}"` };
+      }
+      return fillAndSubmit('The sign-in page',
+        ['input[type="email"]', 'input[name="username"]', 'input[name="UserName"]', '#userNameInput', 'input[autocomplete="username"]'],
+        ['button[type="submit"]', 'input[type="submit"]', '#submitButton'])
+        || failed(`no account or provider matching ${domain || 'your email'} on this page`);
+    },
+  };
+
+  try {
+    return adapters[adapterId] ? adapters[adapterId]() : failed(`unknown login adapter "${adapterId}"`);
+  } catch (err) {
+    return failed(err.message);
+  }
+}
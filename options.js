@@ -1,19 +1,109 @@
 const emailInput    = document.getElementById('email');
+const providerSel   = document.getElementById('login-provider');
+const loginHostInput = document.getElementById('login-host');
+const providerAccess = document.getElementById('provider-access');
 const modeAutoRadio = document.getElementById('mode-auto');
 const modeMapRadio  = document.getElementById('mode-map');
 const seatField     = document.getElementById('seat-field');
-const seatInput     = document.getElementById('preferred-seat');
+const seatInput     = document.getElementById('preferred-seats');
+const locationField = document.getElementById('location-field');
+const locationSel   = document.getElementById('map-location');
+const locationInput = document.getElementById('map-location-id');
+const discoverBtn   = document.getElementById('discover-btn');
+const discoverMsg   = document.getElementById('discover-msg');
+const planRows      = document.getElementById('plan-rows');
+const horizonAmount = document.getElementById('horizon-amount');
+const countrySel    = document.getElementById('holiday-country');
+const regionSel     = document.getElementById('holiday-region');
+const holidayList   = document.getElementById('holiday-preview');
+const icsFileInput  = document.getElementById('ics-file');
+const exclStart     = document.getElementById('exclusion-start');
+const exclEnd       = document.getElementById('exclusion-end');
+const exclLabel     = document.getElementById('exclusion-label');
+const addExclBtn    = document.getElementById('add-exclusion-btn');
+const exclList      = document.getElementById('exclusion-list');
+const exclMsg       = document.getElementById('exclusion-msg');
+const horizonUnit   = document.getElementById('horizon-unit');
+const minOfficeDays = document.getElementById('min-office-days');
+const quotaEnabled  = document.getElementById('quota-enabled');
+const quotaFields   = document.getElementById('quota-fields');
+const quotaDays     = document.getElementById('quota-days');
+const quotaPriority = document.getElementById('quota-priority');
+const runTimesList  = document.getElementById('run-times');
+const addTimeBtn    = document.getElementById('add-time-btn');
+const runWeekdays   = document.getElementById('run-weekdays');
+const sniperEnabled = document.getElementById('sniper-enabled');
+const sniperFields  = document.getElementById('sniper-fields');
+const sniperRelease = document.getElementById('sniper-release');
+const sniperLead    = document.getElementById('sniper-lead');
+const sniperRetry   = document.getElementById('sniper-retry');
+const watchEnabled  = document.getElementById('watch-enabled');
+const watchFields   = document.getElementById('watch-fields');
+const watchInterval = document.getElementById('watch-interval');
+const watchSwap     = document.getElementById('watch-swap');
+const watchList     = document.getElementById('watch-list');
+const profileActive = document.getElementById('profile-active');
+const profileFile   = document.getElementById('profile-file');
+const profileExport = document.getElementById('profile-export');
+const profileReset  = document.getElementById('profile-reset');
+const profileMsg    = document.getElementById('profile-msg');
 const saveBtn       = document.getElementById('save-btn');
 const saveMsg       = document.getElementById('save-msg');
 
 (async () => {
-  const { envoyEmail = '', bookingMode = 'auto', preferredSeat = '' } =
-    await chrome.storage.local.get(['envoyEmail', 'bookingMode', 'preferredSeat']);
+  const {
+    envoyEmail = '', loginProvider = 'auto', loginHost = '', bookingMode = 'auto', preferredSeats, preferredSeat = '',
+    mapLocationId = '', mapLocations = [], dayPlans = {},
+    runSchedule = DEFAULT_RUN_SCHEDULE, sniper = {},
+    bookingHorizon = DEFAULT_HORIZON, exclusions: savedExclusions = [],
+    holidayCalendar = { country: '', region: '' }, attendancePolicy = { minDaysPerWeek: 0 }, weeklyQuota = {},
+    seatWatch = {}, selectorProfile: savedProfile = null,
+  } = await chrome.storage.local.get([
+    'envoyEmail', 'loginProvider', 'loginHost', 'bookingMode', 'preferredSeats', 'preferredSeat', 'mapLocationId', 'mapLocations', 'dayPlans',
+    'runSchedule', 'sniper', 'bookingHorizon', 'exclusions', 'holidayCalendar', 'attendancePolicy', 'weeklyQuota',
+    'seatWatch', 'selectorProfile',
+  ]);
   emailInput.value = envoyEmail;
-  seatInput.value  = preferredSeat;
+  loginHostInput.value = loginHost;
+  renderLoginProviders(loginProvider);
+  seatInput.value  = (preferredSeats || (preferredSeat ? [preferredSeat] : [])).join(', ');
+  exclusions = savedExclusions;
+  renderExclusions();
+  renderHolidayCountries(holidayCalendar);
+  horizonAmount.value = bookingHorizon.amount;
+  horizonUnit.value   = bookingHorizon.unit;
+  minOfficeDays.value = attendancePolicy.minDaysPerWeek;
+  const quota = { ...DEFAULT_QUOTA, ...weeklyQuota };
+  quotaEnabled.checked = quota.enabled;
+  quotaDays.value      = quota.days;
+  renderPriority(quota.priority);
+  quotaFields.classList.toggle('hidden', !quota.enabled);
+  renderLocationOptions(mapLocations);
+  renderPlanRows(dayPlans, mapLocations);
+  runSchedule.times.forEach(addRunTimeRow);
+  for (const box of runWeekdays.querySelectorAll('input')) {
+    box.checked = runSchedule.weekdays.includes(+box.value);
+  }
+  const snipe = { ...DEFAULT_SNIPER, ...sniper };
+  sniperEnabled.checked = snipe.enabled;
+  sniperRelease.value   = snipe.releaseTime;
+  sniperLead.value      = snipe.leadMinutes;
+  sniperRetry.value     = snipe.retrySeconds;
+  sniperFields.classList.toggle('hidden', !snipe.enabled);
+  const watch = { ...DEFAULT_SEAT_WATCH, ...seatWatch };
+  watchEnabled.checked = watch.enabled;
+  watchInterval.value  = watch.intervalMinutes;
+  watchSwap.checked    = watch.swap;
+  watchFields.classList.toggle('hidden', !watch.enabled);
+  renderSeatWatches();
+  selectorProfile = savedProfile;
+  renderSelectorProfile();
+  locationInput.value = mapLocationId;
+  locationSel.value   = mapLocationId;
   if (bookingMode === 'map') {
     modeMapRadio.checked = true;
     seatField.classList.remove('hidden');
+    locationField.classList.remove('hidden');
   } else {
     modeAutoRadio.checked = true;
   }
@@ -22,9 +112,434 @@ const saveMsg       = document.getElementById('save-msg');
 [modeAutoRadio, modeMapRadio].forEach((radio) => {
   radio.addEventListener('change', () => {
     seatField.classList.toggle('hidden', modeAutoRadio.checked);
+    locationField.classList.toggle('hidden', modeAutoRadio.checked);
+  });
+});
+
+/* ── Location discovery ─────────────────────────────────────────────── */
+
+function locationLabel(loc) {
+  return loc.location ? `${loc.location} — ${loc.floor}` : loc.floor;
+}
+
+function renderLocationOptions(locations) {
+  locationSel.innerHTML = '<option value="">— Discover or enter a map ID —</option>';
+  for (const loc of locations) {
+    const opt = document.createElement('option');
+    opt.value = loc.id;
+    opt.textContent = locationLabel(loc);
+    locationSel.appendChild(opt);
+  }
+}
+
+locationSel.addEventListener('change', () => {
+  if (locationSel.value) locationInput.value = locationSel.value;
+});
+
+locationInput.addEventListener('input', () => {
+  locationSel.value = locationInput.value.trim();
+});
+
+discoverBtn.addEventListener('click', async () => {
+  discoverBtn.disabled = true;
+  showDiscoverMsg('info', 'Opening Envoy in a background tab to look up locations and floors…');
+  try {
+    const res = await chrome.runtime.sendMessage({ type: 'DISCOVER_LOCATIONS' });
+    if (!res?.ok) throw new Error(res?.error || 'No response from the extension');
+    const current = locationInput.value.trim();
+    renderLocationOptions(res.locations);
+    locationSel.value = current;
+    renderPlanRows(readPlanRows(), res.locations);
+    showDiscoverMsg(res.locations.length > 0 ? 'success' : 'warn',
+      res.locations.length > 0
+        ? `Found ${res.locations.length} floor(s). Pick one from the list.`
+        : 'No floors were found. Enter the map ID manually.');
+  } catch (err) {
+    showDiscoverMsg('error', `Discovery failed: ${err.message}`);
+  } finally {
+    discoverBtn.disabled = false;
+  }
+});
+
+function showDiscoverMsg(type, text) {
+  discoverMsg.className = `status-msg ${type}`;
+  discoverMsg.textContent = text;
+  discoverMsg.classList.remove('hidden');
+}
+
+/* ── Weekly plan ────────────────────────────────────────────────────── */
+
+const PLAN_DAYS = [[1, 'Mon'], [2, 'Tue'], [3, 'Wed'], [4, 'Thu'], [5, 'Fri']];
+
+function buildLocationSelect(locations, selected) {
+  const sel = document.createElement('select');
+  sel.className = 'field-input plan-location';
+  sel.innerHTML = '<option value="">Default location</option>';
+  const known = locations.some((loc) => loc.id === selected);
+  for (const loc of known || !selected ? locations : [...locations, { id: selected, floor: `Map ${selected}` }]) {
+    const opt = document.createElement('option');
+    opt.value = loc.id;
+    opt.textContent = locationLabel(loc);
+    sel.appendChild(opt);
+  }
+  sel.value = selected || '';
+  return sel;
+}
+
+function renderPlanRows(dayPlans, locations) {
+  planRows.innerHTML = '';
+  for (const [day, name] of PLAN_DAYS) {
+    const plan = dayPlans[day] || {};
+    const row = document.createElement('div');
+    row.className = 'plan-row';
+    row.dataset.day = day;
+    row.innerHTML = `
+      <span class="plan-day">${name}</span>
+      <select class="field-input plan-mode">
+        <option value="">Default</option>
+        <option value="auto">Auto-assign</option>
+        <option value="map">Specific seat</option>
+      </select>`;
+    const modeSel = row.querySelector('.plan-mode');
+    modeSel.value = plan.mode || '';
+
+    const locSel = buildLocationSelect(locations, plan.locationId || '');
+    const seats = document.createElement('input');
+    seats.type = 'text';
+    seats.className = 'field-input plan-seats';
+    seats.placeholder = 'C31, C32';
+    seats.autocomplete = 'off';
+    seats.value = (plan.seats || []).join(', ');
+    row.append(locSel, seats);
+
+    const syncVisibility = () => {
+      const isMap = modeSel.value === 'map';
+      locSel.classList.toggle('hidden', !isMap);
+      seats.classList.toggle('hidden', !isMap);
+    };
+    modeSel.addEventListener('change', syncVisibility);
+    syncVisibility();
+    planRows.appendChild(row);
+  }
+}
+
+function readPlanRows() {
+  const dayPlans = {};
+  for (const row of planRows.querySelectorAll('.plan-row')) {
+    const mode = row.querySelector('.plan-mode').value;
+    if (!mode) continue;
+    dayPlans[row.dataset.day] = mode === 'map'
+      ? { mode, locationId: row.querySelector('.plan-location').value, seats: parseSeatList(row.querySelector('.plan-seats').value) }
+      : { mode };
+  }
+  return dayPlans;
+}
+
+// Feature IDs are cached per map location; drop any no plan refers to any more
+function pruneFeatureIdCache(cache, prevLocationId, mapLocationId, defaultSeats, dayPlans) {
+  const flat = Object.values(cache).some((v) => typeof v === 'string');
+  const nested = flat ? (prevLocationId ? { [prevLocationId]: cache } : {}) : cache;
+
+  const wanted = {};
+  const want = (locationId, seats) => {
+    if (!locationId) return;
+    wanted[locationId] = [...(wanted[locationId] || []), ...seats];
+  };
+  want(mapLocationId, defaultSeats);
+  for (const plan of Object.values(dayPlans)) {
+    if (plan.mode === 'map') want(plan.locationId || mapLocationId, plan.seats);
+  }
+
+  const kept = {};
+  for (const [locationId, seats] of Object.entries(wanted)) {
+    for (const seat of seats) {
+      const id = nested[locationId]?.[seat];
+      if (id) kept[locationId] = { ...kept[locationId], [seat]: id };
+    }
+  }
+  return kept;
+}
+
+/* ── Public holidays ────────────────────────────────────────────────── */
+
+const HOLIDAY_PREVIEW_COUNT = 5;
+
+function renderHolidayCountries({ country, region }) {
+  for (const [code, calendar] of Object.entries(HOLIDAY_CALENDARS)) {
+    countrySel.add(new Option(calendar.name, code));
+  }
+  countrySel.value = HOLIDAY_CALENDARS[country] ? country : '';
+  renderHolidayRegions(region);
+}
+
+function renderHolidayRegions(selected) {
+  const calendar = HOLIDAY_CALENDARS[countrySel.value];
+  regionSel.innerHTML = '';
+  regionSel.classList.toggle('hidden', !calendar);
+  if (calendar) {
+    for (const [code, name] of Object.entries(calendar.regions)) regionSel.add(new Option(name, code));
+    if (selected in calendar.regions) regionSel.value = selected;
+  }
+  renderHolidayPreview();
+}
+
+function renderHolidayPreview() {
+  holidayList.innerHTML = '';
+  if (!countrySel.value) return;
+  const today = new Date();
+  const nextYear = new Date(today.getFullYear() + 1, today.getMonth(), today.getDate());
+  const upcoming = Object.entries(getHolidayMap(countrySel.value, regionSel.value, today, nextYear))
+    .slice(0, HOLIDAY_PREVIEW_COUNT);
+  for (const [date, name] of upcoming) {
+    const row = document.createElement('div');
+    row.className = 'exclusion-row';
+    row.innerHTML = `
+      <span class="exclusion-dates"></span>
+      <span class="exclusion-label"></span>`;
+    row.querySelector('.exclusion-dates').textContent = date;
+    row.querySelector('.exclusion-label').textContent = name;
+    holidayList.appendChild(row);
+  }
+}
+
+countrySel.addEventListener('change', () => renderHolidayRegions(''));
+regionSel.addEventListener('change', renderHolidayPreview);
+
+/* ── Leave & exclusions ─────────────────────────────────────────────── */
+
+let exclusions = [];
+
+function todayStr() {
+  return icsLocalDateStr(new Date());
+}
+
+function sortExclusions(list) {
+  return [...list].sort((a, b) => a.start.localeCompare(b.start) || a.end.localeCompare(b.end));
+}
+
+function renderExclusions() {
+  exclList.innerHTML = '';
+  exclusions.forEach((excl, i) => {
+    const row = document.createElement('div');
+    row.className = 'exclusion-row';
+    row.innerHTML = `
+      <span class="exclusion-dates"></span>
+      <span class="exclusion-label"></span>
+      <button class="btn-link" type="button">Remove</button>`;
+    row.querySelector('.exclusion-dates').textContent = excl.start === excl.end ? excl.start : `${excl.start} → ${excl.end}`;
+    row.querySelector('.exclusion-label').textContent = excl.source === 'ics' ? `${excl.label} (calendar)` : excl.label;
+    row.querySelector('button').addEventListener('click', () => {
+      exclusions.splice(i, 1);
+      renderExclusions();
+    });
+    exclList.appendChild(row);
   });
+}
+
+function showExclusionMsg(type, text) {
+  exclMsg.className = `status-msg ${type}`;
+  exclMsg.textContent = text;
+  exclMsg.classList.remove('hidden');
+}
+
+addExclBtn.addEventListener('click', () => {
+  const start = exclStart.value;
+  const end = exclEnd.value || start;
+  if (!start) {
+    showExclusionMsg('error', 'Pick at least a start date.');
+    return;
+  }
+  if (end < start) {
+    showExclusionMsg('error', 'The end date is before the start date.');
+    return;
+  }
+  exclusions = sortExclusions([...exclusions, { start, end, label: exclLabel.value.trim() || 'Out of office', source: 'manual' }]);
+  exclStart.value = exclEnd.value = exclLabel.value = '';
+  renderExclusions();
+  exclMsg.classList.add('hidden');
+});
+
+icsFileInput.addEventListener('change', async () => {
+  const file = icsFileInput.files[0];
+  if (!file) return;
+  try {
+    const { exclusions: imported, skipped, recurring } = parseIcsExclusions(await file.text());
+    const upcoming = imported.filter((e) => e.end >= todayStr());
+    // Re-importing replaces the previous calendar import; manual ranges stay
+    exclusions = sortExclusions([...exclusions.filter((e) => e.source !== 'ics'), ...upcoming]);
+    renderExclusions();
+    const summary = `Imported ${upcoming.length} upcoming exclusion(s); ignored ${skipped} ordinary event(s) and ${imported.length - upcoming.length} past one(s). Click Save to keep them.`;
+    if (recurring.length > 0) {
+      showExclusionMsg('warn', `${summary} Only the first date of these repeating events was imported — add their other dates by hand: ${[...new Set(recurring)].join(', ')}.`);
+    } else {
+      showExclusionMsg('success', summary);
+    }
+  } catch (err) {
+    showExclusionMsg('error', `Could not read calendar file: ${err.message}`);
+  } finally {
+    icsFileInput.value = '';
+  }
+});
+
+/* ── Weekly quota ───────────────────────────────────────────────────── */
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function renderPriority(order) {
+  quotaPriority.innerHTML = '';
+  order.forEach((day, i) => {
+    const row = document.createElement('div');
+    row.className = 'priority-row';
+    row.dataset.day = day;
+    row.innerHTML = `
+      <span class="priority-rank">${i + 1}.</span>
+      <span class="priority-day">${WEEKDAY_NAMES[day]}</span>
+      <button class="btn-link" type="button" title="Prefer this day more">▲</button>
+      <button class="btn-link" type="button" title="Prefer this day less">▼</button>`;
+    const [up, down] = row.querySelectorAll('button');
+    up.disabled = i === 0;
+    down.disabled = i === order.length - 1;
+    up.addEventListener('click', () => renderPriority(swap(readPriority(), i, i - 1)));
+    down.addEventListener('click', () => renderPriority(swap(readPriority(), i, i + 1)));
+    quotaPriority.appendChild(row);
+  });
+}
+
+function swap(list, a, b) {
+  const next = [...list];
+  [next[a], next[b]] = [next[b], next[a]];
+  return next;
+}
+
+function readPriority() {
+  return [...quotaPriority.querySelectorAll('.priority-row')].map((row) => +row.dataset.day);
+}
+
+quotaEnabled.addEventListener('change', () => {
+  quotaFields.classList.toggle('hidden', !quotaEnabled.checked);
 });
 
+/* ── Automatic runs ─────────────────────────────────────────────────── */
+
+function addRunTimeRow(value) {
+  const row = document.createElement('div');
+  row.className = 'run-time-row';
+  row.innerHTML = `
+    <input type="time" class="field-input run-time" required />
+    <button class="btn-link" type="button" title="Remove">Remove</button>`;
+  row.querySelector('.run-time').value = value;
+  row.querySelector('button').addEventListener('click', () => row.remove());
+  runTimesList.appendChild(row);
+}
+
+addTimeBtn.addEventListener('click', () => addRunTimeRow('09:00'));
+
+function readRunSchedule() {
+  const times = [...runTimesList.querySelectorAll('.run-time')].map((i) => i.value).filter(Boolean);
+  const weekdays = [...runWeekdays.querySelectorAll('input:checked')].map((b) => +b.value);
+  return { times: [...new Set(times)].sort(), weekdays };
+}
+
+/* ── Release-time sniper ────────────────────────────────────────────── */
+
+sniperEnabled.addEventListener('change', () => {
+  sniperFields.classList.toggle('hidden', !sniperEnabled.checked);
+});
+
+function readSniper() {
+  return {
+    enabled: sniperEnabled.checked,
+    releaseTime: sniperRelease.value || DEFAULT_SNIPER.releaseTime,
+    leadMinutes: parseInt(sniperLead.value, 10),
+    retrySeconds: parseInt(sniperRetry.value, 10),
+  };
+}
+
+/* ── Seat watch ─────────────────────────────────────────────────────── */
+
+watchEnabled.addEventListener('change', () => {
+  watchFields.classList.toggle('hidden', !watchEnabled.checked);
+});
+
+// Active watches are live data, not settings — removing one takes effect straight away
+async function renderSeatWatches() {
+  const { seatWatches = [] } = await chrome.storage.local.get('seatWatches');
+  watchList.innerHTML = '';
+  seatWatches.filter((w) => w.date >= todayStr()).forEach((watch) => {
+    const row = document.createElement('div');
+    row.className = 'exclusion-row';
+    row.innerHTML = `
+      <span class="exclusion-dates"></span>
+      <span class="exclusion-label"></span>
+      <button class="btn-link" type="button">Remove</button>`;
+    row.querySelector('.exclusion-dates').textContent = watch.date;
+    row.querySelector('.exclusion-label').textContent = `Watching "${watch.seat}"`;
+    row.querySelector('button').addEventListener('click', async () => {
+      const { seatWatches: current = [] } = await chrome.storage.local.get('seatWatches');
+      await chrome.storage.local.set({
+        seatWatches: current.filter((w) => !(w.date === watch.date && w.seat === watch.seat)),
+      });
+    });
+    watchList.appendChild(row);
+  });
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.seatWatches) renderSeatWatches();
+});
+
+/* ── Selector profile ───────────────────────────────────────────────── */
+
+let selectorProfile = null; // the imported profile as stored, or null for the built-in one
+
+function renderSelectorProfile() {
+  const active = resolveSelectorProfile(selectorProfile);
+  const total = Object.keys(DEFAULT_SELECTOR_PROFILE.selectors).length;
+  profileActive.textContent = selectorProfile
+    ? `Active: ${describeSelectorProfile(active)}, overriding ${Object.keys(selectorProfile.selectors).length} of ${total} entries.`
+    : `Active: ${describeSelectorProfile(active)}.`;
+  profileReset.disabled = !selectorProfile;
+}
+
+function showProfileMsg(type, text) {
+  profileMsg.className = `status-msg ${type}`;
+  profileMsg.textContent = text;
+  profileMsg.classList.remove('hidden');
+}
+
+profileFile.addEventListener('change', async () => {
+  const file = profileFile.files[0];
+  if (!file) return;
+  try {
+    selectorProfile = validateSelectorProfile(JSON.parse(await file.text()));
+    renderSelectorProfile();
+    showProfileMsg('success', `Imported ${describeSelectorProfile(selectorProfile)}. Click Save to use it.`);
+  } catch (err) {
+    showProfileMsg('error', `Could not import profile: ${err.message}`);
+  } finally {
+    profileFile.value = '';
+  }
+});
+
+// The full profile, so it doubles as a template listing every entry
+profileExport.addEventListener('click', () => {
+  const json = JSON.stringify(resolveSelectorProfile(selectorProfile), null, 2);
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'envoy-selector-profile.json';
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+});
+
+profileReset.addEventListener('click', () => {
+  selectorProfile = null;
+  renderSelectorProfile();
+  showProfileMsg('success', 'Switched to the built-in profile. Click Save to keep it.');
+});
+
+/* ── Save ───────────────────────────────────────────────────────────── */
+
 saveBtn.addEventListener('click', async () => {
   const email = emailInput.value.trim();
   if (!email) {
@@ -32,16 +547,123 @@ saveBtn.addEventListener('click', async () => {
     return;
   }
 
-  const bookingMode   = modeMapRadio.checked ? 'map' : 'auto';
-  const preferredSeat = modeMapRadio.checked ? seatInput.value.trim() : '';
+  const loginHost = parseLoginHost(loginHostInput.value);
+  if (loginHost === null) {
+    showMsg('error', 'Sign-in Page Address must be an https address or a domain like sso.company.com.');
+    return;
+  }
 
-  const toSave = { envoyEmail: email, bookingMode, preferredSeat };
-  if (bookingMode === 'auto') toSave.seatFeatureId = ''; // clear cached ID when switching to auto
+  const bookingMode    = modeMapRadio.checked ? 'map' : 'auto';
+  const preferredSeats = modeMapRadio.checked ? parseSeatList(seatInput.value) : [];
+  const mapLocationId  = locationInput.value.trim();
 
-  await chrome.storage.local.set(toSave);
+  const dayPlans       = readPlanRows();
+  const mapDays        = Object.values(dayPlans).filter((p) => p.mode === 'map');
+
+  if (mapLocationId && !/^\d+$/.test(mapLocationId)) {
+    showMsg('error', 'The map ID must be a number. Use Discover or copy it from the Envoy map URL.');
+    return;
+  }
+  if (bookingMode === 'map' && !mapLocationId) {
+    showMsg('error', 'Specific seat mode needs a map location. Use Discover or enter a numeric map ID.');
+    return;
+  }
+  if (mapDays.some((p) => p.seats.length === 0)) {
+    showMsg('error', 'Every Specific seat day in the Weekly Plan needs at least one seat.');
+    return;
+  }
+  if (mapDays.some((p) => !p.locationId) && !mapLocationId) {
+    showMsg('error', 'Pick a location for each Specific seat day, or set a default map location.');
+    return;
+  }
+
+  const bookingHorizon = { amount: parseInt(horizonAmount.value, 10), unit: horizonUnit.value };
+  if (!(bookingHorizon.amount >= 1)) {
+    showMsg('error', 'Book Up To must be at least 1 day or week ahead.');
+    return;
+  }
+
+  const attendancePolicy = { minDaysPerWeek: parseInt(minOfficeDays.value, 10) || 0 };
+  if (attendancePolicy.minDaysPerWeek < 0 || attendancePolicy.minDaysPerWeek > 7) {
+    showMsg('error', 'Office days required per week must be between 0 and 7.');
+    return;
+  }
+
+  const weeklyQuota = { enabled: quotaEnabled.checked, days: parseInt(quotaDays.value, 10), priority: readPriority() };
+  if (weeklyQuota.enabled && !(weeklyQuota.days >= 1 && weeklyQuota.days <= 7)) {
+    showMsg('error', 'Weekly quota must be between 1 and 7 days.');
+    return;
+  }
+
+  const runSchedule = readRunSchedule();
+  if (runSchedule.times.length > 0 && runSchedule.weekdays.length === 0) {
+    showMsg('error', 'Tick at least one weekday for automatic runs, or remove every run time.');
+    return;
+  }
+
+  const sniper = readSniper();
+  if (sniper.enabled && !(sniper.leadMinutes >= 1 && sniper.retrySeconds >= 10)) {
+    showMsg('error', 'Sniper needs a wake-up of at least 1 minute and a retry window of at least 10 seconds.');
+    return;
+  }
+
+  const seatWatch = { enabled: watchEnabled.checked, intervalMinutes: parseInt(watchInterval.value, 10), swap: watchSwap.checked };
+  if (seatWatch.enabled && !(seatWatch.intervalMinutes >= 5)) {
+    showMsg('error', 'Seat watch needs a check interval of at least 5 minutes.');
+    return;
+  }
+
+  const { seatFeatureIds = {}, mapLocationId: prevLocationId = '' } =
+    await chrome.storage.local.get(['seatFeatureIds', 'mapLocationId']);
+  const keptIds = pruneFeatureIdCache(seatFeatureIds, prevLocationId, mapLocationId, preferredSeats, dayPlans);
+
+  await chrome.storage.local.set({
+    envoyEmail: email, loginProvider: providerSel.value, loginHost, bookingMode, preferredSeats, seatFeatureIds: keptIds, mapLocationId, dayPlans, runSchedule, sniper,
+    bookingHorizon, exclusions: exclusions.filter((e) => e.end >= todayStr()),
+    holidayCalendar: { country: countrySel.value, region: countrySel.value ? regionSel.value : '' }, attendancePolicy,
+    weeklyQuota, seatWatch, ...(selectorProfile ? { selectorProfile } : {}),
+  });
+  await chrome.storage.local.remove(['preferredSeat', 'seatFeatureId']); // superseded by the list form
+  if (!selectorProfile) await chrome.storage.local.remove('selectorProfile');
   window.close();
 });
 
+// Envoy's own login page always uses its own adapter, so it isn't offered
+function renderLoginProviders(selected) {
+  for (const adapter of LOGIN_ADAPTERS.filter((a) => a.id !== 'envoy')) {
+    providerSel.add(new Option(adapter.name, adapter.id));
+  }
+  providerSel.value = selected;
+  renderProviderAccess();
+}
+
+// Identity provider pages are optional permissions, so updating the extension never disables it
+function getProviderOrigins() {
+  return getLoginOrigins(providerSel.value, parseLoginHost(loginHostInput.value) || '');
+}
+
+async function renderProviderAccess() {
+  const origins = getProviderOrigins();
+  const granted = origins.length === 0 || await chrome.permissions.contains({ origins });
+  providerAccess.classList.toggle('hidden', granted);
+}
+
+async function requestProviderAccess() {
+  const origins = getProviderOrigins();
+  if (origins.length > 0) await chrome.permissions.request({ origins }).catch(() => false);
+  renderProviderAccess();
+}
+
+// Chrome only shows the permission prompt in response to a click or change
+providerSel.addEventListener('change', requestProviderAccess);
+loginHostInput.addEventListener('change', requestProviderAccess);
+document.getElementById('provider-grant').addEventListener('click', requestProviderAccess);
+
+function parseSeatList(text) {
+  const seats = text.split(/[,\n]/).map((s) => s.trim()).filter(Boolean);
+  return [...new Set(seats)];
+}
+
 function showMsg(type, text) {
   saveMsg.className = `status-msg ${type}`;
   saveMsg.textContent = text;
@@ -9,6 +9,16 @@ const clearLogBtn    = document.getElementById('clear-log-btn');
 const summarySection = document.getElementById('summary-section');
 const summaryBody    = document.getElementById('summary-body');
 const modeBadge      = document.getElementById('mode-badge');
+const nextRunEl      = document.getElementById('next-run');
+const summaryHeader  = document.getElementById('summary-header');
+const attendanceWarn = document.getElementById('attendance-warning');
+const previewBtn     = document.getElementById('preview-btn');
+const stopBtn        = document.getElementById('stop-btn');
+const cancelToggle   = document.getElementById('cancel-toggle');
+const cancelPanel    = document.getElementById('cancel-panel');
+const cancelFrom     = document.getElementById('cancel-from');
+const cancelTo       = document.getElementById('cancel-to');
+const cancelBtn      = document.getElementById('cancel-btn');
 
 /* ── Log rendering ──────────────────────────────────────────────────── */
 
@@ -38,14 +48,19 @@ function escHtml(str) {
 /* ── Status rendering ───────────────────────────────────────────────── */
 
 function applyState(state) {
+  const booked = state.booked ?? state.total;
+  const isCancel  = state.action === 'cancel';
+  const isPreview = state.action === 'preview';
+
   // Badge
   statusBadge.className = `badge badge-${state.status}`;
-  const BADGE_LABELS = { idle: 'Idle', running: 'Running…', done: 'Done', error: 'Error' };
+  const BADGE_LABELS = { idle: 'Idle', running: 'Running…', done: 'Done', error: 'Error', cancelled: 'Stopped' };
   statusBadge.textContent = BADGE_LABELS[state.status] || state.status;
 
   // Button
   bookBtn.disabled = state.status === 'running';
-  bookBtn.textContent = state.status === 'running' ? 'Booking…' : 'Book All Desks';
+  bookBtn.textContent = state.status !== 'running' ? 'Book All Desks'
+    : isCancel ? 'Cancelling…' : isPreview ? 'Previewing…' : 'Booking…';
   if (state.status !== 'running') {
     // Re-inject the plus icon
     bookBtn.innerHTML = `
@@ -55,13 +70,41 @@ function applyState(state) {
       ${state.status === 'running' ? 'Booking…' : 'Book All Desks'}`;
   }
 
+  cancelBtn.disabled = previewBtn.disabled = state.status === 'running';
+  stopBtn.classList.toggle('hidden', state.status !== 'running');
+  if (state.status !== 'running') stopBtn.disabled = false;
+
   // Status message
-  if (state.status === 'running' && state.total > 0) {
+  const plan = state.plan || [];
+  const verification = state.verification || [];
+  const issues = verification.filter((v) => v.outcome !== 'confirmed').length;
+  if (state.status === 'cancelled') {
+    showMsg('warn', isCancel ? `Stopped — cancelled ${booked} booking(s) before stopping.`
+      : isPreview ? 'Preview stopped.'
+      : `Stopped — booked ${booked} desk(s) before stopping.`);
+  } else if (state.status === 'running' && state.loginHandoff) {
+    showMsg('warn', 'Waiting for you to finish signing in in the Envoy tab…');
+  } else if (isPreview && state.status === 'running') {
+    showMsg('info', 'Previewing — checking each date without booking…');
+  } else if (isPreview && state.status === 'done') {
+    const count = plan.filter((row) => row.outcome === 'book').length;
+    showMsg('info', `Preview: ${count} of ${plan.length} date(s) would be booked. Nothing was booked.`);
+  } else if (isCancel && state.status === 'running') {
+    showMsg('info', `Cancelling bookings — ${state.current} cancelled so far…`);
+  } else if (isCancel && state.status === 'done') {
+    showMsg(booked > 0 ? 'success' : 'warn', booked > 0
+      ? `Cancelled ${booked} booking(s).`
+      : 'No bookings were found to cancel in that range.');
+  } else if (state.status === 'running' && state.total > 0) {
     showMsg('info', `Scheduling ${state.current} of ${state.total}…`);
-  } else if (state.status === 'done' && state.total > 0) {
-    showMsg('success', `Scheduled ${state.total} desk(s) successfully.`);
+  } else if (state.status === 'done' && issues > 0) {
+    showMsg('warn', `Booked ${booked} desk(s) — ${issues} date(s) didn't match the schedule page. See the summary.`);
+  } else if (state.status === 'done' && booked > 0) {
+    showMsg('success', `Booked ${booked} desk(s) successfully.`);
   } else if (state.status === 'done' && state.total === 0) {
     showMsg('warn', 'No Schedule buttons were found on the page.');
+  } else if (state.status === 'done') {
+    showMsg('warn', 'Nothing was booked. See the log below for details.');
   } else if (state.status === 'error') {
     showMsg('error', 'An error occurred. See the log below for details.');
   } else {
@@ -83,14 +126,48 @@ function applyState(state) {
   }
 
   // Summary
-  if (state.status === 'done' && state.bookings?.length > 0) {
+  const bookings = state.bookings || [];
+  const skipped  = state.skipped || [];
+  const results  = state.results || [];
+  if (isPreview && state.status === 'done' && plan.length > 0) {
     summarySection.classList.remove('hidden');
-    summaryBody.innerHTML = state.bookings.map((b) =>
+    summaryHeader.textContent = 'Preview — Nothing Booked';
+    summaryBody.innerHTML = plan.map((row) =>
       `<div class="summary-row">
-         <span class="summary-date">${escHtml(b.date)}</span>
-         <span class="summary-desk">${escHtml(b.desk)}</span>
+         <span class="summary-date">${escHtml(row.date)}</span>
+         <span class="plan-${row.outcome}">${escHtml(describePlanRow(row))}</span>
        </div>`
     ).join('');
+  } else if (!isCancel && !isPreview && ['done', 'cancelled', 'error'].includes(state.status) && results.length > 0) {
+    summarySection.classList.remove('hidden');
+    summaryHeader.textContent = 'Booking Summary';
+    summaryBody.innerHTML = `<div class="summary-counts">${describeResultCounts(results)}</div>` + results.map((row) =>
+      `<div class="summary-row">
+         <span class="summary-date">${escHtml(row.date)}</span>
+         <span class="result-${row.status}">${escHtml(describeResult(row, verification))}</span>
+       </div>`
+    ).join('');
+  } else if (['done', 'cancelled'].includes(state.status) && (bookings.length > 0 || skipped.length > 0 || issues > 0)) {
+    summarySection.classList.remove('hidden');
+    summaryHeader.textContent = isCancel ? 'Cancellation Summary' : 'Booking Summary';
+    // Missing bookings aren't in `bookings` any more, so they are listed from the verification
+    const missing = verification.filter((v) => v.outcome === 'missing');
+    summaryBody.innerHTML = bookings.map((b) =>
+      `<div class="summary-row">
+         <span class="summary-date">${escHtml(b.date)}</span>
+         <span class="summary-desk">${escHtml(describeBooking(b, verification))}</span>
+       </div>`
+    ).concat(missing.map((v) =>
+      `<div class="summary-row">
+         <span class="summary-date">${escHtml(v.date)}</span>
+         <span class="verify-missing">${escHtml(`Not on schedule: ${v.desk}`)}</span>
+       </div>`
+    )).concat(skipped.map((s) =>
+      `<div class="summary-row">
+         <span class="summary-date">${escHtml(s.date)}</span>
+         <span class="summary-skipped">${escHtml(s.label)}</span>
+       </div>`
+    )).join('');
   } else if (state.status !== 'running') {
     summarySection.classList.add('hidden');
   }
@@ -98,6 +175,45 @@ function applyState(state) {
   renderLog(state.log);
 }
 
+const PLAN_OUTCOME_LABELS = {
+  book: 'Would book', booked: 'Already booked', excluded: 'Excluded', not_needed: 'Not needed',
+  unavailable: 'Seat unavailable',
+};
+
+function describePlanRow({ outcome, detail }) {
+  const label = PLAN_OUTCOME_LABELS[outcome] || outcome;
+  return detail ? `${label}: ${detail}` : label;
+}
+
+const RESULT_LABELS = {
+  booked: 'Booked', already_booked: 'Already booked', skipped_day: 'Skipped', excluded: 'Excluded',
+  failed: 'Failed',
+};
+
+// The seat for booked days (✓ once the schedule page confirmed it), otherwise the reason
+function describeResult(row, verification) {
+  const label = RESULT_LABELS[row.status] || row.status;
+  if (row.status !== 'booked') return row.reason ? `${label}: ${row.reason}` : label;
+  const check = verification.find((v) => v.dateKey === row.dateKey);
+  const seat = check?.outcome === 'confirmed' ? `${row.seat} ✓` : row.seat;
+  return row.reason ? `${seat} (${row.reason.toLowerCase()})` : seat;
+}
+
+function describeResultCounts(results) {
+  return Object.keys(RESULT_LABELS)
+    .map((status) => [status, results.filter((r) => r.status === status).length])
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `<span class="result-${status}">${count} ${RESULT_LABELS[status].toLowerCase()}</span>`)
+    .join(' · ');
+}
+
+// Appends the verification outcome: ✓ when the schedule page confirmed it
+function describeBooking(booking, verification) {
+  const row = verification.find((v) => v.dateKey && v.dateKey === booking.dateKey);
+  if (!row) return booking.desk;
+  return row.outcome === 'confirmed' ? `${booking.desk} ✓` : `${booking.desk} (unexpected)`;
+}
+
 function showMsg(type, text) {
   statusMsg.className = `status-msg ${type}`;
   statusMsg.textContent = text;
@@ -106,9 +222,68 @@ function showMsg(type, text) {
 
 /* ── Bootstrap ──────────────────────────────────────────────────────── */
 
-function updateModeBadge(bookingMode, preferredSeat) {
-  if (bookingMode === 'map' && preferredSeat) {
-    modeBadge.textContent = `Specific seat: ${preferredSeat}`;
+const PLAN_KEYS = ['bookingMode', 'preferredSeats', 'preferredSeat', 'mapLocationId', 'dayPlans'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+let planSettings = {};
+
+function readSeatList({ preferredSeats, preferredSeat }) {
+  if (Array.isArray(preferredSeats)) return preferredSeats;
+  return preferredSeat ? [preferredSeat] : [];
+}
+
+// Mirrors getPlanForDay in background.js
+function getPlanForDay(day, settings) {
+  const custom = settings.dayPlans?.[day];
+  const mode  = custom ? custom.mode : settings.bookingMode;
+  const seats = custom ? (custom.seats || []) : readSeatList(settings);
+  return mode === 'map' && seats.length > 0 ? { mode: 'map', seats } : { mode: 'auto', seats: [] };
+}
+
+function describeSeats(seats) {
+  return seats.length === 1 ? seats[0] : seats.join(' → ');
+}
+
+function activeDays() {
+  return [...document.querySelectorAll('.day-chip.active')].map((c) => +c.dataset.day);
+}
+
+function updateDayChips() {
+  document.querySelectorAll('.day-chip').forEach((chip) => {
+    const plan = getPlanForDay(+chip.dataset.day, planSettings);
+    let hint = chip.querySelector('.chip-plan');
+    if (!hint) {
+      hint = document.createElement('span');
+      hint.className = 'chip-plan';
+      chip.appendChild(hint);
+    }
+    hint.textContent = plan.mode === 'map' ? plan.seats[0] : 'Auto';
+    chip.title = plan.mode === 'map' ? `Specific seat: ${describeSeats(plan.seats)}` : 'Auto-assign';
+  });
+}
+
+function updateModeBadge() {
+  const days = activeDays();
+  const groups = new Map();
+  for (const day of days) {
+    const plan = getPlanForDay(day, planSettings);
+    const label = plan.mode === 'map' ? describeSeats(plan.seats) : 'Auto';
+    groups.set(label, [...(groups.get(label) || []), day]);
+  }
+
+  if (groups.size > 1) {
+    modeBadge.textContent = 'Per-day plan: ' + [...groups]
+      .map(([label, groupDays]) => `${groupDays.map((d) => DAY_NAMES[d]).join('/')} ${label}`)
+      .join(' · ');
+    modeBadge.className = 'mode-badge mode-specific';
+    return;
+  }
+
+  const plan = getPlanForDay(days[0] ?? 1, planSettings);
+  if (plan.mode === 'map') {
+    modeBadge.textContent = plan.seats.length === 1
+      ? `Specific seat: ${plan.seats[0]}`
+      : `Specific seats: ${describeSeats(plan.seats)}`;
     modeBadge.className = 'mode-badge mode-specific';
   } else {
     modeBadge.textContent = 'Auto-assign';
@@ -116,18 +291,57 @@ function updateModeBadge(bookingMode, preferredSeat) {
   }
 }
 
+function applyPlanSettings(settings) {
+  planSettings = settings;
+  updateDayChips();
+  updateModeBadge();
+}
+
+function formatWhen(timestamp) {
+  return new Date(timestamp).toLocaleString('en-AU', {
+    weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit',
+  });
+}
+
+function updateNextRun({ nextRunAt, nextSnipe, retryQueue = [] }) {
+  const parts = [nextRunAt ? `Next automatic run: ${formatWhen(nextRunAt)}` : 'Automatic runs are off.'];
+  if (nextSnipe) {
+    const day = new Date(`${nextSnipe.date}T00:00`).toLocaleDateString('en-AU', { weekday: 'short', day: 'numeric', month: 'short' });
+    parts.push(`Sniper: ${day} opens ${formatWhen(nextSnipe.releaseAt)}`);
+  }
+  if (retryQueue.length > 0) {
+    parts.push(`Retrying ${retryQueue.length} failed day(s) from ${formatWhen(Math.min(...retryQueue.map((e) => e.nextAt)))}`);
+  }
+  nextRunEl.textContent = parts.join(' · ');
+}
+
+async function updateAttendanceWarning() {
+  const { bookingHistory = [], attendancePolicy } = await chrome.storage.local.get(['bookingHistory', 'attendancePolicy']);
+  const { minDaysPerWeek } = { ...DEFAULT_ATTENDANCE_POLICY, ...attendancePolicy };
+  const shortfall = getUpcomingShortfall(getOfficeDays(bookingHistory), minDaysPerWeek);
+  attendanceWarn.classList.toggle('hidden', !shortfall);
+  if (shortfall) {
+    const week = shortfall.weekStart.toLocaleDateString('en-AU', { day: 'numeric', month: 'short' });
+    attendanceWarn.textContent =
+      `Week of ${week}: ${shortfall.days} of ${shortfall.minDays} required office day(s) booked.`;
+  }
+}
+
 // Load current state and saved day selection when popup opens
 (async () => {
   try {
-    const [state, { selectedDays }, { bookingMode = 'auto', preferredSeat = '' }] = await Promise.all([
+    const [state, { selectedDays }, settings, schedule] = await Promise.all([
       chrome.runtime.sendMessage({ type: 'GET_STATE' }),
       chrome.storage.local.get({ selectedDays: [1, 2, 3, 4, 5] }),
-      chrome.storage.local.get(['bookingMode', 'preferredSeat']),
+      chrome.storage.local.get(PLAN_KEYS),
+      chrome.storage.local.get(['nextRunAt', 'nextSnipe', 'retryQueue']),
     ]);
     document.querySelectorAll('.day-chip').forEach((chip) => {
       if (!selectedDays.includes(+chip.dataset.day)) chip.classList.remove('active');
     });
-    updateModeBadge(bookingMode, preferredSeat);
+    applyPlanSettings(settings);
+    updateNextRun(schedule);
+    await updateAttendanceWarning();
     if (state) applyState(state);
   } catch { /* service worker may not be running yet */ }
 })();
@@ -136,8 +350,8 @@ function updateModeBadge(bookingMode, preferredSeat) {
 document.querySelectorAll('.day-chip').forEach((chip) => {
   chip.addEventListener('click', async () => {
     chip.classList.toggle('active');
-    const days = [...document.querySelectorAll('.day-chip.active')].map((c) => +c.dataset.day);
-    await chrome.storage.local.set({ selectedDays: days });
+    updateModeBadge();
+    await chrome.storage.local.set({ selectedDays: activeDays() });
   });
 });
 
@@ -146,10 +360,14 @@ chrome.storage.onChanged.addListener((changes, area) => {
   if (area === 'session' && changes.envoy_booking) {
     applyState(changes.envoy_booking.newValue);
   }
-  if (area === 'local' && (changes.bookingMode || changes.preferredSeat)) {
-    chrome.storage.local.get(['bookingMode', 'preferredSeat']).then(
-      ({ bookingMode = 'auto', preferredSeat = '' }) => updateModeBadge(bookingMode, preferredSeat)
-    );
+  if (area === 'local' && PLAN_KEYS.some((k) => changes[k])) {
+    chrome.storage.local.get(PLAN_KEYS).then(applyPlanSettings);
+  }
+  if (area === 'local' && (changes.bookingHistory || changes.attendancePolicy)) {
+    updateAttendanceWarning();
+  }
+  if (area === 'local' && (changes.nextRunAt || changes.nextSnipe || changes.retryQueue)) {
+    chrome.storage.local.get(['nextRunAt', 'nextSnipe', 'retryQueue']).then(updateNextRun);
   }
 });
 
@@ -158,18 +376,79 @@ chrome.storage.onChanged.addListener((changes, area) => {
 bookBtn.addEventListener('click', async () => {
   bookBtn.disabled = true;
   try {
-    const days = [...document.querySelectorAll('.day-chip.active')].map((c) => +c.dataset.day);
-    await chrome.runtime.sendMessage({ type: 'START_BOOKING', selectedDays: days });
+    await chrome.runtime.sendMessage({ type: 'START_BOOKING', selectedDays: activeDays() });
   } catch (err) {
     showMsg('error', `Could not start booking: ${err.message}`);
     bookBtn.disabled = false;
   }
 });
 
+stopBtn.addEventListener('click', async () => {
+  stopBtn.disabled = true;
+  try {
+    await chrome.runtime.sendMessage({ type: 'STOP_RUN' });
+  } catch (err) {
+    showMsg('error', `Could not stop the run: ${err.message}`);
+    stopBtn.disabled = false;
+  }
+});
+
+previewBtn.addEventListener('click', async () => {
+  previewBtn.disabled = true;
+  try {
+    await chrome.runtime.sendMessage({ type: 'START_BOOKING', selectedDays: activeDays(), preview: true });
+  } catch (err) {
+    showMsg('error', `Could not start preview: ${err.message}`);
+    previewBtn.disabled = false;
+  }
+});
+
+function dateInputValue(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+cancelToggle.addEventListener('click', () => {
+  const opening = cancelPanel.classList.toggle('hidden') === false;
+  if (opening && !cancelFrom.value) {
+    const today = new Date();
+    const weekAhead = new Date(today);
+    weekAhead.setDate(today.getDate() + 6);
+    cancelFrom.value = cancelFrom.min = cancelTo.min = dateInputValue(today);
+    cancelTo.value = dateInputValue(weekAhead);
+  }
+});
+
+cancelBtn.addEventListener('click', async () => {
+  const from = cancelFrom.value;
+  const to = cancelTo.value || from;
+  if (!from || to < from) {
+    showMsg('error', 'Pick a start date and an end date on or after it.');
+    return;
+  }
+  if (activeDays().length === 0) {
+    showMsg('error', 'Select at least one day to cancel.');
+    return;
+  }
+  cancelBtn.disabled = true;
+  try {
+    await chrome.runtime.sendMessage({ type: 'START_CANCELLATION', from, to, selectedDays: activeDays() });
+  } catch (err) {
+    showMsg('error', `Could not start cancellation: ${err.message}`);
+    cancelBtn.disabled = false;
+  }
+});
+
 document.getElementById('settings-btn').addEventListener('click', () => {
   chrome.runtime.openOptionsPage();
 });
 
+document.getElementById('history-btn').addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+});
+
 clearLogBtn.addEventListener('click', async () => {
   const data = await chrome.storage.session.get('envoy_booking');
   const prev = data.envoy_booking || {};
@@ -0,0 +1,102 @@
+/**
+ * Envoy Bulk Booking — Selector profile
+ *
+ * Everything the content script looks for on Envoy's pages — button labels,
+ * modal and week-navigation selectors, the map's data-test hooks and popup
+ * wording — kept as one versioned profile. The built-in profile ships here;
+ * Settings can import a JSON file that overrides any of its entries, so a
+ * tweak to Envoy's UI can be patched without waiting for a release. Shared by
+ * the content script (which loads the active profile for each command) and
+ * the Settings page (which validates imports).
+ *
+ * Profile files look like:
+ *   { "name": "Acme fix", "version": "2025.03.1", "selectors": { "buttonLabels": ["book now"] } }
+ * Entries left out of "selectors" keep their built-in value.
+ */
+
+const DEFAULT_SELECTOR_PROFILE = {
+  name: 'Built-in',
+  version: '1',
+  selectors: {
+    // Schedule page
+    buttonLabels:          ['schedule', 'schedule desk', 'book desk', 'book', 'reserve'],
+    bookedLabels:          ['Scheduled', 'Booked'],
+    dayCardSelector:       '[data-test-day-card]',
+    dayContainerSelector:  '[class*="item"],[class*="card"],[class*="day"],li,tr,[class*="slot"]',
+    nextWeekSelectors: [
+      'button[aria-label="Next week"]',
+      'button[aria-label="next week"]',
+      'button[aria-label="Next"]',
+      '[data-test="next-week"]',
+      '[data-test*="next"]',
+      'button[title="Next week"]',
+      'button[title="Next"]',
+    ],
+
+    // Confirmation modals
+    modalSelectors:        ['[role="dialog"]', '[aria-modal="true"]', '.modal', '[class*="modal"]', '[class*="dialog"]'],
+    confirmKeywords:       ['confirm', 'book', 'schedule', 'reserve', 'yes', 'submit', 'ok'],
+
+    // Cancellation — a bare "Cancel" in the confirmation modal usually dismisses it, so only explicit wording counts
+    cancelLabels:          ['cancel', 'cancel booking', 'cancel reservation', 'release', 'release desk', 'delete booking'],
+    cancelConfirmKeywords: ['cancel booking', 'cancel reservation', 'yes', 'confirm', 'release', 'delete', 'remove'],
+    overflowMenuSelector:  'button[aria-haspopup], button[aria-label*="more" i], button[aria-label*="options" i], button[aria-label*="actions" i]',
+    menuItemSelector:      '[role="menuitem"], [role="menu"] button, [role="listbox"] [role="option"]',
+
+    // Map page
+    mapSearchSelectors:    ['[role="searchbox"]', 'input[type="search"]', 'input[placeholder*="Search" i]'],
+    searchResultSelector:  '[data-test-search-result-resource]',
+    deskMarkerSelector:    '[data-test-feature-type="desk"]',
+    featureIdAttribute:    'data-test-feature-id',
+    seatPopupSelector:     '.leaflet-popup-content',
+    bookDeskButtonSelector: '[data-test-book-desk-button]',
+    popupUnavailableText:  'Unavailable to book',
+    popupTakenText:        'Scheduled',
+    popupAvailableText:    'Available',
+
+    // Location / floor discovery
+    locationSwitcherSelectors: ['[data-test-location-switcher]', '[data-test-location-picker]', '[data-test-current-location]', 'button[aria-label*="location" i]'],
+    floorPickerSelectors:  ['[data-test-floor-picker]', '[data-test-floor-select]', '[data-test-floor-dropdown]', 'button[aria-label*="floor" i]'],
+    menuOptionSelectors:   ['[data-test-location-option]', '[data-test-floor-option]', '[role="option"]', '[role="menuitem"]', '[role="menuitemradio"]'],
+  },
+};
+
+// The built-in profile with an imported one laid over it. `base` replaces the built-in entries —
+// the content script passes them with the page language's locale pack applied.
+function resolveSelectorProfile(imported, base = DEFAULT_SELECTOR_PROFILE.selectors) {
+  if (!imported) return { ...DEFAULT_SELECTOR_PROFILE, selectors: base };
+  return {
+    name: imported.name || 'Imported',
+    version: String(imported.version),
+    selectors: { ...base, ...imported.selectors },
+  };
+}
+
+function describeSelectorProfile(profile) {
+  return `"${profile.name}" v${profile.version}`;
+}
+
+// Throws with a message naming the first bad entry; returns the profile as it should be stored
+function validateSelectorProfile(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) throw new Error('The file is not a JSON object.');
+  if (typeof json.version !== 'string' && typeof json.version !== 'number') throw new Error('The profile needs a "version".');
+  if (!json.selectors || typeof json.selectors !== 'object') throw new Error('The profile needs a "selectors" object.');
+
+  for (const [key, value] of Object.entries(json.selectors)) {
+    const builtIn = DEFAULT_SELECTOR_PROFILE.selectors[key];
+    if (builtIn === undefined) throw new Error(`Unknown selector entry "${key}".`);
+    const values = Array.isArray(builtIn) ? value : [value];
+    if (!Array.isArray(values) || values.length === 0 || values.some((v) => typeof v !== 'string' || !v.trim())) {
+      throw new Error(`"${key}" must be ${Array.isArray(builtIn) ? 'a non-empty list of strings' : 'a non-empty string'}.`);
+    }
+    // Only entries named ...Selector(s) are CSS; the rest is page wording
+    if (/Selectors?$/.test(key)) {
+      for (const sel of values) {
+        try { document.createDocumentFragment().querySelector(sel); } catch {
+          throw new Error(`"${key}" has an invalid CSS selector: ${sel}`);
+        }
+      }
+    }
+  }
+  return { name: String(json.name || 'Imported'), version: String(json.version), selectors: json.selectors };
+}